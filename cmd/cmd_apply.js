@@ -0,0 +1,227 @@
+/*
+ * File: cmd_apply.js
+ * Created: 2026-10-19 18:57:50 +0800
+ * Modified: 2026-10-19 18:57:50 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import { execa } from 'execa'
+import fs from 'fs-extra'
+import pMap from 'p-map'
+import path from "path"
+import which from "which"
+import * as log from '../lib/debug.js'
+import * as mf from '../lib/file.js'
+import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
+import * as plan from '../lib/plan.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { createPlanFFmpegArgs } from "./cmd_ffmpeg.js"
+import { compressImage } from "./cmd_shared.js"
+
+const LOG_TAG = "Apply"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "apply <plan> [options]"
+const aliases = ["ap"]
+const describe = 'Execute a reviewed or edited plan file saved by --plan of rename/remove/compress/ffmpeg'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        .positional('plan', {
+            describe: 'plan file path, json or csv',
+            type: 'string',
+        })
+        // 只执行这些操作类型的条目
+        .option("action", {
+            alias: "a",
+            type: "array",
+            choices: plan.PLAN_ACTIONS,
+            description: "only execute plan items of these actions",
+        })
+        // 忽略源文件大小和修改时间检查
+        .option("force", {
+            alias: "f",
+            type: "boolean",
+            default: false,
+            description: "execute even if source size or mtime changed since plan created",
+        })
+        // 同时执行的任务数，重命名和删除建议保持为1
+        .option("jobs", {
+            alias: "j",
+            type: "number",
+            default: 1,
+            description: "number of plan items executed at the same time",
+        })
+        // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+        .option("doit", {
+            alias: "d",
+            type: "boolean",
+            default: false,
+            description: "execute os operations in real mode, not dry run",
+        })
+}
+
+const handler = cmdApply
+
+async function cmdApply(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    const p = await plan.readPlan(argv.plan)
+    log.show(LOG_TAG, `Plan: ${p.path}${p.command ? ` (${p.command} ${p.createdAt})` : ''}`)
+    const actions = argv.action?.length > 0 ? argv.action : plan.PLAN_ACTIONS
+    const items = p.items.filter(item => actions.includes(item.action))
+    if (items.length === 0) {
+        log.showYellow(LOG_TAG, "No plan items found, abort.")
+        return
+    }
+    // 检查每个条目，多个条目使用同一个目标路径也算冲突
+    const okTasks = []
+    const badTasks = []
+    const planned = new Set()
+    for (const item of items) {
+        const conflict = await plan.checkItem(item, argv.force)
+            || (item.dst && planned.has(item.dst) ? 'DST_DUPLICATE' : undefined)
+        if (conflict) {
+            badTasks.push({ ...item, conflict })
+            log.showYellow(LOG_TAG, `${conflict.padEnd(14)} ${item.line}: ${item.action} <${item.src}>`)
+            continue
+        }
+        item.dst && planned.add(item.dst)
+        okTasks.push(item)
+    }
+    for (const t of okTasks.slice(-20)) {
+        log.show(LOG_TAG, `${chalk.yellow(t.action.padEnd(12))} ${helper.pathShort(t.src)}${t.dst ? ` => ${helper.pathShort(t.dst)}` : ''}${t.reason ? chalk.gray(` ${t.reason}`) : ''}`)
+    }
+    okTasks.length > 20 && log.show(LOG_TAG, chalk.gray(`... ${okTasks.length - 20} more items not shown`))
+    result.set('total', items.length)
+    // 有冲突的条目记录为跳过
+    const itemResult = (t, status, extra) => result.addItem({ path: t.src, dst: t.dst, action: t.action, status, size: t.size, ...extra })
+    badTasks.forEach(t => itemResult(t, result.STATUS_SKIPPED, { reason: t.conflict }))
+    const counts = {}
+    okTasks.forEach(t => counts[t.action] = (counts[t.action] || 0) + 1)
+    badTasks.length > 0 && log.showYellow(LOG_TAG, `${badTasks.length} plan items have conflicts and will be skipped.`)
+    log.showGreen(LOG_TAG, `${okTasks.length}/${items.length} plan items are ready to apply: ${Object.entries(counts).map(([k, v]) => `${k}=${v}`).join(' ')}`)
+    if (okTasks.length === 0) {
+        log.showYellow(LOG_TAG, "Nothing to do, abort.")
+        return
+    }
+    if (counts[plan.ACTION_FFMPEG] > 0 && !await which("ffmpeg", { nothrow: true })) {
+        throw new Error("ffmpeg executable not found in path")
+    }
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(`Are you sure to apply these ${okTasks.length} plan items?`))
+    if (!answer) {
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        okTasks.forEach(t => itemResult(t, result.STATUS_PLANNED))
+        log.showYellow(LOG_TAG, `${okTasks.length} plan items, NO file changed in TEST MODE.`)
+        return
+    }
+    const startMs = Date.now()
+    const results = await pMap(okTasks, async (t, index) => {
+        const ipx = `${index + 1}/${okTasks.length}`
+        try {
+            // 执行前再检查一次，防止前面的条目产生冲突
+            const conflict = await plan.checkItem(t, argv.force)
+            if (conflict) {
+                itemResult(t, result.STATUS_SKIPPED, { reason: conflict })
+                log.showYellow(LOG_TAG, `${ipx} ${conflict} ${t.action} <${t.src}>`)
+                return
+            }
+            await applyItem(t, index, okTasks.length)
+            itemResult(t, result.STATUS_OK, t.dstSize === undefined ? {} : { dstSize: t.dstSize })
+            log.show(LOG_TAG, `${ipx} ${chalk.green(t.action)} ${helper.pathShort(t.src)}${t.dst ? ` => ${helper.pathShort(t.dst)}` : ''}`)
+            log.fileLog(`${t.action}: <${t.src}>${t.dst ? ` => <${t.dst}>` : ''}`, LOG_TAG)
+            return t
+        } catch (error) {
+            itemResult(t, result.STATUS_FAILED, { error: error.message })
+            log.error(LOG_TAG, `${ipx} Failed: ${t.action} <${t.src}>`, error.message)
+            log.fileLog(`Failed: ${t.action} <${t.src}> ${error.message}`, LOG_TAG)
+        }
+    }, { concurrency: Math.max(1, argv.jobs || 1) })
+    log.showGreen(LOG_TAG, `${results.filter(Boolean).length}/${okTasks.length} plan items applied in ${helper.humanTime(startMs)}`)
+}
+
+async function applyItem(t, index, total) {
+    switch (t.action) {
+        case plan.ACTION_RENAME:
+            await fs.ensureDir(path.dirname(t.dst))
+            await fs.rename(t.src, t.dst)
+            await journal.record(journal.OP_RENAME, t.src, t.dst)
+            break
+        case plan.ACTION_MOVE:
+            await fs.move(t.src, t.dst)
+            await journal.record(journal.OP_MOVE, t.src, t.dst)
+            break
+        case plan.ACTION_SAFE_REMOVE:
+            if (!await helper.safeRemove(t.src)) {
+                throw new Error('safe remove failed')
+            }
+            break
+        case plan.ACTION_DELETE:
+            await fs.remove(t.src)
+            await journal.record(journal.OP_DELETE, t.src, null, { size: t.size, isDir: t.isDir })
+            break
+        case plan.ACTION_COMPRESS:
+            await applyCompress(t, index, total)
+            break
+        case plan.ACTION_FFMPEG:
+            await applyFFmpeg(t)
+            break
+    }
+}
+
+// 临时文件名和 compress 命令相同，目标路径修改过也可以使用
+async function applyCompress(t, index, total) {
+    const { dir, name, ext } = path.parse(t.dst)
+    const task = {
+        ...t.args,
+        src: t.src,
+        dst: t.dst,
+        tmpDst: path.join(dir, `${name}_tmp@${helper.textHash(t.src)}@tmp_${ext}`),
+        size: t.size,
+        index,
+        total,
+        startMs: Date.now(),
+    }
+    if (!task.width) {
+        throw new Error('missing width in plan args')
+    }
+    const r = await compressImage(task)
+    if (!r?.done) {
+        throw new Error(r?.errorMessage || 'compress failed')
+    }
+    t.dstSize = r.dstSize
+}
+
+// 按计划中的源文件、目标路径和预设重新生成ffmpeg参数，保证处理的就是检查过的文件
+// 输出到临时文件，完成后移动到目标路径
+async function applyFFmpeg(t) {
+    if (!t.args?.preset) {
+        throw new Error('missing ffmpeg preset in plan args')
+    }
+    const { args, tmp } = await createPlanFFmpegArgs(t.src, t.dst, t.args.preset, t.args.options)
+    const exePath = await which("ffmpeg")
+    await fs.ensureDir(path.dirname(tmp))
+    await fs.remove(tmp)
+    try {
+        // 参数是独立的数组，不使用 shell，路径中的特殊字符不会被解释
+        await execa(exePath, args, { encoding: 'binary' })
+        const dstSize = await fs.pathExists(tmp) ? (await fs.stat(tmp)).size : 0
+        if (dstSize <= 20 * mf.FILE_SIZE_1K) {
+            throw new Error(`output too small (${helper.humanSize(dstSize)})`)
+        }
+        await fs.ensureDir(path.dirname(t.dst))
+        await fs.move(tmp, t.dst)
+        t.dstSize = dstSize
+    } finally {
+        await fs.remove(tmp)
+    }
+}
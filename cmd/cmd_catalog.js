@@ -0,0 +1,228 @@
+/*
+ * File: cmd_catalog.js
+ * Created: 2026-10-19 18:41:18 +0800
+ * Modified: 2026-10-19 18:41:18 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import path from "path"
+import { CATALOG_FIELDS, defaultCatalogPath, isEntryStale, loadCatalog, readEntries, saveCatalog } from '../lib/catalog.js'
+import * as log from '../lib/debug.js'
+import * as mf from '../lib/file.js'
+import * as helper from '../lib/helper.js'
+import { evaluate, formatQuery, parseQuery } from '../lib/query.js'
+import * as result from '../lib/result.js'
+import { applyFileNameRules, formatCsv } from "./cmd_shared.js"
+
+const LOG_TAG = "Catalog"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "catalog <action>"
+const aliases = ["ct"]
+const describe = 'Build media library catalog and query files by metadata'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 建立或增量更新索引
+        .command("build <input>", "Build or update catalog of media files in input dir", (ya) => ya
+            // 索引文件路径，默认保存在数据目录
+            .option("catalog", {
+                alias: "c",
+                type: "string",
+                description: "catalog file path, default in mediac data dir",
+            })
+            // 计算文件SHA1，用于查找重复文件
+            .option("hash", {
+                type: "boolean",
+                default: true,
+                description: "calculate sha1 hash of files",
+            })
+            // 视频和音频文件使用ffprobe/mediainfo读取时长和编码信息
+            .option("media-info", {
+                type: "boolean",
+                default: true,
+                description: "read duration/codec/bitrate of video and audio by ffprobe or mediainfo",
+            })
+            // 忽略已有索引，全部重新读取
+            .option("rebuild", {
+                type: "boolean",
+                default: false,
+                description: "ignore existing catalog, read all files again",
+            })
+            // 正则，包含文件名规则
+            .option("include", {
+                alias: "I",
+                type: "string",
+                description: "filename include pattern",
+            })
+            //字符串或正则，不包含文件名规则
+            .option("exclude", {
+                alias: "E",
+                type: "string",
+                description: "filename exclude pattern ",
+            })
+            // 默认启用正则模式，禁用则为字符串模式
+            .option("regex", {
+                alias: 're',
+                type: "boolean",
+                default: true,
+                description: "match filenames by regex pattern",
+            })
+            // 需要处理的扩展名列表
+            .option("extensions", {
+                alias: "e",
+                type: "string",
+                describe: "include files by extensions (eg. .jpg|.mp4)",
+            }), cmdBuild)
+        // 按条件查询索引
+        .command("query <input> [expr..]", "Query catalog by expression, eg. model=ILCE-7M4 and date>=2023-01 and width>=6000", (ya) => ya
+            // 索引文件路径，默认根据输入目录查找
+            .option("catalog", {
+                alias: "c",
+                type: "string",
+                description: "catalog file path, default in mediac data dir",
+            })
+            // 输出格式，路径列表可用于 remove --list 等命令
+            .option("format", {
+                alias: "f",
+                type: "string",
+                choices: ["path", "json", "csv"],
+                default: "path",
+                description: "output format, path list can be used by remove --list",
+            })
+            // 输出到文件，不指定则输出到终端
+            .option("output", {
+                alias: "o",
+                type: "string",
+                description: "write output to file instead of console",
+            })
+            // 排序字段
+            .option("sort", {
+                alias: "s",
+                type: "string",
+                description: `sort by field, fields: ${Object.keys(CATALOG_FIELDS).join(',')}`,
+            })
+            // 倒序排列
+            .option("reverse", {
+                alias: "r",
+                type: "boolean",
+                default: false,
+                description: "sort in descending order",
+            })
+            // 最多输出的数量
+            .option("limit", {
+                alias: "n",
+                type: "number",
+                description: "max number of results",
+            }), cmdQuery)
+        .demandCommand(1, "Please specify catalog action: build or query")
+}
+
+const handler = () => { }
+
+async function cmdBuild(argv) {
+    log.info(LOG_TAG, argv)
+    const root = await helper.validateInput(argv.input)
+    const catalogPath = path.resolve(argv.catalog || defaultCatalogPath(root))
+    log.show(LOG_TAG, `Input: ${root}`)
+    log.show(LOG_TAG, `Catalog: ${catalogPath}`)
+    const startMs = Date.now()
+    let files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile && helper.isMediaFile(entry.name),
+    })
+    files = await applyFileNameRules(files, argv)
+    const { entries: oldEntries } = argv.rebuild ? { entries: new Map() } : await loadCatalog(catalogPath)
+    const keepEntries = []
+    const staleFiles = []
+    let updateCount = 0
+    for (const f of files) {
+        const entry = oldEntries.get(f.path)
+        if (isEntryStale(entry, f) || (argv.hash && !entry.hash)) {
+            entry && ++updateCount
+            staleFiles.push(f)
+        } else {
+            keepEntries.push(entry)
+        }
+    }
+    const fileSet = new Set(files.map(f => f.path))
+    const removeCount = [...oldEntries.keys()].filter(p => !fileSet.has(p)).length
+    log.show(LOG_TAG, `Total ${files.length} media files, ${staleFiles.length - updateCount} new, ${updateCount} changed, ${removeCount} removed, ${keepEntries.length} unchanged`)
+    const newEntries = staleFiles.length > 0
+        ? await readEntries(staleFiles, { hash: argv.hash, mediaInfo: argv.mediaInfo })
+        : []
+    const entries = keepEntries.concat(newEntries).sort((a, b) => a.path.localeCompare(b.path))
+    await saveCatalog(catalogPath, root, entries)
+    log.showGreen(LOG_TAG, `Catalog of ${entries.length} files saved in ${helper.humanTime(startMs)}`)
+    log.showGreen(LOG_TAG, `Catalog: ${catalogPath}`)
+    result.set('total', entries.length)
+    result.set('catalog', catalogPath)
+    result.set('added', staleFiles.length - updateCount)
+    result.set('changed', updateCount)
+    result.set('removed', removeCount)
+}
+
+async function cmdQuery(argv) {
+    log.info(LOG_TAG, argv)
+    const input = path.resolve(argv.input)
+    // 输入可以是索引文件或已建立索引的目录
+    let catalogPath = argv.catalog && path.resolve(argv.catalog)
+    if (!catalogPath) {
+        const st = await fs.stat(input).catch(() => null)
+        catalogPath = st?.isFile() ? input : defaultCatalogPath(input)
+    }
+    if (!await fs.pathExists(catalogPath)) {
+        throw new Error(`Catalog not found: ${catalogPath}, run 'catalog build ${argv.input}' first`)
+    }
+    const expr = (argv.expr || []).join(' ').trim()
+    const node = expr ? parseQuery(expr, CATALOG_FIELDS) : null
+    const { header, entries } = await loadCatalog(catalogPath)
+    log.info(LOG_TAG, `Catalog: ${catalogPath} (${entries.size} files, updated at ${header?.updatedAt})`)
+    node && log.info(LOG_TAG, `Query: ${formatQuery(node)}`)
+    let results = [...entries.values()].filter(e => !node || evaluate(node, e))
+    if (argv.sort) {
+        const field = String(argv.sort)
+        if (!CATALOG_FIELDS[field]) {
+            throw new Error(`Unknown sort field '${field}', available: ${Object.keys(CATALOG_FIELDS).join(',')}`)
+        }
+        results.sort((a, b) => compareField(a[field], b[field], argv.reverse))
+    }
+    if (argv.limit > 0) {
+        results = results.slice(0, argv.limit)
+    }
+    result.set('total', entries.size)
+    result.set('catalog', catalogPath)
+    result.set('matched', results.length)
+    results.forEach(e => result.addItem({ ...e, status: result.STATUS_OK }))
+    let content
+    if (argv.format === "json") {
+        content = JSON.stringify(results, null, 4)
+    } else if (argv.format === "csv") {
+        content = formatCsv(results, Object.keys(CATALOG_FIELDS))
+    } else {
+        content = results.map(e => e.path).join('\n')
+    }
+    if (argv.output) {
+        const output = path.resolve(argv.output)
+        await fs.outputFile(output, content + '\n')
+        log.showGreen(LOG_TAG, `${results.length}/${entries.size} files matched, saved to ${output}`)
+        result.set('outputFile', output)
+    } else {
+        // JSON模式下匹配的文件已在结果对象中
+        results.length > 0 && !log.isJsonMode() && log.show(content)
+        log.info(LOG_TAG, chalk.green(`${results.length}/${entries.size} files matched`))
+    }
+}
+
+// 没有值的排在最后
+function compareField(a, b, desc = false) {
+    if (a === undefined || b === undefined) {
+        return a === b ? 0 : a === undefined ? 1 : -1
+    }
+    const c = typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b))
+    return desc ? -c : c
+}
@@ -0,0 +1,240 @@
+/*
+ * File: cmd_clean.js
+ * Created: 2026-10-19 18:53:49 +0800
+ * Modified: 2026-10-19 18:53:49 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import micromatch from 'micromatch'
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { TRASH_DIR_NAME } from '../lib/trash.js'
+
+const LOG_TAG = "Clean"
+
+// 系统和其它软件产生的垃圾文件和目录，不区分大小写
+const JUNK_PATTERNS = [
+    "Thumbs.db",
+    "ehthumbs.db",
+    "ehthumbs_vista.db",
+    "desktop.ini",
+    ".DS_Store",
+    // macOS 在非HFS磁盘上的资源文件
+    "._*",
+    ".AppleDouble",
+    "__MACOSX",
+]
+
+// compress 和 ffmpeg 命令的临时文件 name_tmp@hash@tmp_.jpg
+const RE_TEMP_MEDIAC = /_tmp@[0-9a-z]+@tmp_/i
+// zipu 命令的临时文件 _1712345678abcdef.tmp
+const RE_TEMP_ZIPU = /^_\d{10}[0-9a-f]{1,6}\.tmp$/i
+
+// 清理类型
+const TYPE_JUNK = "junk"
+const TYPE_EMPTY_FILE = "empty-file"
+const TYPE_TEMP = "temp"
+const TYPE_EMPTY_DIR = "empty-dir"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "clean <input> [options]"
+const aliases = ["cl"]
+const describe = 'Clean junk files, zero-byte files, leftover temp files and empty directories'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 删除垃圾文件，如 Thumbs.db .DS_Store __MACOSX
+        .option("junk", {
+            type: "boolean",
+            default: true,
+            description: `remove junk files: ${JUNK_PATTERNS.join(' ')}`,
+        })
+        // 额外的垃圾文件名规则，glob格式
+        .option("junk-pattern", {
+            alias: "j",
+            type: "array",
+            description: "extra junk file or dir name patterns (glob), eg. '*.bak' '~$*'",
+        })
+        // 删除大小为0的文件，点开头的文件除外，如 .nomedia .gitkeep
+        .option("empty-files", {
+            type: "boolean",
+            default: true,
+            description: "remove zero-byte files, except dot files like .nomedia",
+        })
+        // 删除中断的 compress/ffmpeg/zipu 留下的临时文件
+        .option("temp", {
+            type: "boolean",
+            default: true,
+            description: "remove leftover temp files of interrupted compress/ffmpeg/zipu",
+        })
+        // 临时文件修改时间早于这个时间才删除，避免删除正在运行的命令的文件
+        .option("temp-age", {
+            type: "string",
+            default: "1h",
+            description: "only remove temp files older than this age, eg. 30m, 1d",
+        })
+        // 从最深层开始删除空目录，只包含垃圾文件的目录也算空目录
+        .option("empty-dirs", {
+            type: "boolean",
+            default: true,
+            description: "remove empty directories bottom-up, including dirs only contain junk",
+        })
+        // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+        .option("doit", {
+            alias: "d",
+            type: "boolean",
+            default: false,
+            description: "execute os operations in real mode, not dry run",
+        })
+}
+
+const handler = cmdClean
+
+async function cmdClean(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    const root = await helper.validateInput(argv.input)
+    const tempAge = helper.parseDuration(argv.tempAge)
+    const options = {
+        root,
+        junk: argv.junk,
+        junkPatterns: [...JUNK_PATTERNS, ...(argv.junkPattern || []).map(String)],
+        emptyFiles: argv.emptyFiles,
+        temp: argv.temp,
+        tempAge,
+        emptyDirs: argv.emptyDirs,
+        now: Date.now(),
+    }
+    log.show(LOG_TAG, `Input: ${root}`)
+    const tasks = []
+    await scanDir(root, options, tasks)
+    if (tasks.length === 0) {
+        log.showGreen(LOG_TAG, "Nothing to clean, everything is tidy.")
+        return
+    }
+    for (const t of tasks.slice(-50)) {
+        log.show(LOG_TAG, `${chalk.yellow(t.type.padEnd(10))} ${helper.pathShort(t.path)} ${t.isDir ? 'D' : helper.humanSize(t.size)}${t.desc ? chalk.gray(` ${t.desc}`) : ''}`)
+    }
+    tasks.length > 50 && log.show(LOG_TAG, chalk.gray(`... ${tasks.length - 50} more items, see log file for all`))
+    for (const t of tasks) {
+        log.fileLog(`${t.type}: <${t.path}> ${t.desc || ''}`, LOG_TAG)
+    }
+    const counts = {}
+    tasks.forEach(t => counts[t.type] = (counts[t.type] || 0) + 1)
+    const totalSize = tasks.reduce((acc, t) => acc + (t.size || 0), 0)
+    result.set('total', tasks.length)
+    log.showYellow(LOG_TAG, `${tasks.length} items (${helper.humanSize(totalSize)}) to clean: ${Object.entries(counts).map(([k, v]) => `${k}=${v}`).join(' ')}`)
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(`Are you sure to clean these ${tasks.length} items?`))
+    if (!answer) {
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        tasks.forEach(t => result.addPlanned({ path: t.path, type: t.type, size: t.size }))
+        log.showYellow(LOG_TAG, `${tasks.length} items, NO file removed in TEST MODE.`)
+        return
+    }
+    const startMs = Date.now()
+    let doneCount = 0
+    // 任务顺序是先子目录后父目录，空目录最后删除
+    for (const t of tasks) {
+        try {
+            if (t.type === TYPE_EMPTY_DIR) {
+                // 扫描时只是预测清理后为空，前面的文件删除失败或有新文件时跳过
+                if (!await helper.isEmptyDir(t.path)) {
+                    result.addItem({ path: t.path, type: t.type, status: result.STATUS_SKIPPED, reason: 'not empty' })
+                    log.showYellow(LOG_TAG, `NotEmpty: ${t.path}`)
+                    continue
+                }
+                // 空目录没有数据，直接删除
+                await fs.rmdir(t.path)
+                await journal.record(journal.OP_DELETE, t.path, null, { isDir: true })
+            } else if (!await helper.safeRemove(t.path)) {
+                result.addItem({ path: t.path, type: t.type, status: result.STATUS_FAILED, size: t.size, error: 'safe remove failed' })
+                continue
+            }
+            ++doneCount
+            result.addItem({ path: t.path, type: t.type, status: result.STATUS_OK, size: t.size })
+            log.info(LOG_TAG, `Removed: ${t.type} <${t.path}>`)
+            log.fileLog(`Removed: ${t.type} <${t.path}>`, LOG_TAG)
+        } catch (error) {
+            result.addItem({ path: t.path, type: t.type, status: result.STATUS_FAILED, size: t.size, error: error.message })
+            log.warn(LOG_TAG, `Failed: ${t.type} <${t.path}>`, error.message)
+        }
+    }
+    log.showGreen(LOG_TAG, `${doneCount}/${tasks.length} items cleaned in ${helper.humanTime(startMs)}`)
+}
+
+function isJunkName(name, options) {
+    return options.junk && micromatch.isMatch(name, options.junkPatterns, { nocase: true, dot: true })
+}
+
+// 临时文件的清理说明，没有对应的正式文件说明命令被中断
+async function checkTemp(filepath, st, options) {
+    const name = path.basename(filepath)
+    if (RE_TEMP_MEDIAC.test(name)) {
+        if (options.now - st.mtimeMs < options.tempAge) {
+            return
+        }
+        const dst = path.join(path.dirname(filepath), name.replace(RE_TEMP_MEDIAC, ''))
+        return await fs.pathExists(dst) ? 'output exists' : 'incomplete output'
+    }
+    if (RE_TEMP_ZIPU.test(name)) {
+        return options.now - st.mtimeMs < options.tempAge ? undefined : 'unzip leftover'
+    }
+}
+
+// 递归扫描目录，结果按先子目录后父目录的顺序加入 tasks
+// 返回清理后目录是否为空
+async function scanDir(dir, options, tasks) {
+    let empty = true
+    let entries
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true })
+    } catch (error) {
+        log.warn(LOG_TAG, `Read failed: ${dir}`, error.message)
+        return false
+    }
+    for (const entry of entries) {
+        const p = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+            if (entry.name === TRASH_DIR_NAME) {
+                empty = false
+            } else if (isJunkName(entry.name, options)) {
+                tasks.push({ type: TYPE_JUNK, path: p, isDir: true })
+            } else if (!await scanDir(p, options, tasks)) {
+                empty = false
+            }
+            continue
+        }
+        if (!entry.isFile()) {
+            empty = false
+            continue
+        }
+        const st = await fs.stat(p)
+        const task = { path: p, size: st.size, isDir: false }
+        const tempDesc = options.temp && await checkTemp(p, st, options)
+        if (isJunkName(entry.name, options)) {
+            tasks.push({ ...task, type: TYPE_JUNK })
+        } else if (tempDesc) {
+            tasks.push({ ...task, type: TYPE_TEMP, desc: tempDesc })
+        } else if (options.emptyFiles && st.size === 0 && !entry.name.startsWith('.')) {
+            tasks.push({ ...task, type: TYPE_EMPTY_FILE })
+        } else {
+            empty = false
+        }
+    }
+    if (empty && options.emptyDirs && dir !== options.root) {
+        tasks.push({ type: TYPE_EMPTY_DIR, path: dir, isDir: true })
+    }
+    return empty
+}
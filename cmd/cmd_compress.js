@@ -14,7 +14,6 @@ import dayjs from "dayjs"
 import exif from 'exif-reader'
 import fs from 'fs-extra'
 import imageSizeOfSync from 'image-size'
-import inquirer from "inquirer"
 import { cpus } from "os"
 import pMap from 'p-map'
 import path from "path"
@@ -22,10 +21,15 @@ import sharp from "sharp"
 import util from 'util'
 import * as core from '../lib/core.js'
 import * as log from '../lib/debug.js'
+import { endExifTool } from '../lib/exif.js'
 import * as mf from '../lib/file.js'
 import * as helper from '../lib/helper.js'
+import { ACTION_COMPRESS, createItem } from '../lib/plan.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { checkGroups, SCRUB_GROUP_NAMES } from '../lib/scrub.js'
 import * as tryfp from '../lib/tryfp.js'
-import { applyFileNameRules, calculateScale, compressImage } from "./cmd_shared.js"
+import { applyFileNameRules, calculateScale, compressImage, savePlan } from "./cmd_shared.js"
 
 //
 export { aliases, builder, command, describe, handler }
@@ -123,12 +127,29 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             default: WIDTH_DEFAULT,
             description: "Max width of long side of image thumb",
         })
+        // 压缩后删除隐私元数据，如GPS和序列号，见 scrub 命令
+        .option("scrub", {
+            type: "boolean",
+            default: false,
+            description: "remove private metadata from compressed files, see scrub command",
+        })
+        // 需要删除的元数据分组，默认全部
+        .option("scrub-groups", {
+            type: "array",
+            choices: SCRUB_GROUP_NAMES,
+            description: "metadata groups to remove with --scrub, default all",
+        })
         // 并行操作限制，并发数，默认为 CPU 核心数
         .option("jobs", {
             alias: "j",
             describe: "multi jobs running parallelly",
             type: "number",
         })
+        // 保存完整任务列表到计划文件，不执行，审核后使用 apply 命令执行
+        .option("plan", {
+            type: "string",
+            description: "save complete task list to plan file (json or csv) and exit, execute it later by apply command",
+        })
         // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
         .option("doit", {
             alias: "d",
@@ -156,6 +177,7 @@ async function cmdCompress(argv) {
     const maxWidth = argv.width || WIDTH_DEFAULT
     const purgeOnly = argv.deleteSourceFilesOnly || false
     const purgeSource = argv.deleteSourceFiles || false
+    const scrubGroups = argv.scrub ? checkGroups(argv.scrubGroups) : []
     log.show(`${logTag} input:`, root)
     // 如果有force标志，就不过滤文件名
     const RE_THUMB = argv.force ? /@_@/ : /Z4K|P4K|M4K|feature|web|thumb$/i
@@ -180,15 +202,9 @@ async function cmdCompress(argv) {
         log.showYellow("Nothing to do, abort.")
         return
     }
-    const confirmFiles = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.green(`Press y to continue processing...`),
-        },
-    ])
-    if (!confirmFiles.yes) {
+    // 生成计划文件不需要确认
+    const confirmFiles = argv.plan || await confirm(chalk.bold.green(`Press y to continue processing...`))
+    if (!confirmFiles) {
         log.showYellow("Will do nothing, aborted by user.")
         return
     }
@@ -206,6 +222,7 @@ async function cmdCompress(argv) {
             quality,
             override,
             maxWidth,
+            scrubGroups,
         }
     }
     files = await Promise.all(files.map(addArgsFunc))
@@ -240,6 +257,16 @@ async function cmdCompress(argv) {
         log.show(core.omit(t, "stats", "bar1"))
     })
     log.info(logTag, argv)
+    if (argv.plan) {
+        (purgeOnly || purgeSource) && log.showYellow(logTag, `--delete-source-files is not included in plan`)
+        const items = await pMap(tasks, t => createItem(ACTION_COMPRESS, t.src, t.dst,
+            `${t.srcWidth}x${t.srcHeight}=>${t.width}x${t.height} q${t.quality}`,
+            core.pick(t, 'srcWidth', 'srcHeight', 'width', 'height', 'quality', 'scrubGroups')
+        ), { concurrency: cpus().length * 2 })
+        await savePlan(argv.plan, 'compress', items)
+        return
+    }
+    result.set('total', tasks.length)
     testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
 
     if (purgeOnly) {
@@ -247,33 +274,35 @@ async function cmdCompress(argv) {
         await purgeSrcFiles(tasks)
         return
     }
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to compress ${tasks.length} files? \n[Apply to files bigger than ${minFileSize / 1024}K, target long width is ${maxWidth}] \n${purgeSource ? "(Attention: you choose to delete original file!)" : "(Will keep original file)"}`
-            ),
-        },
-    ])
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to compress ${tasks.length} files? \n[Apply to files bigger than ${minFileSize / 1024}K, target long width is ${maxWidth}] \n${purgeSource ? "(Attention: you choose to delete original file!)" : "(Will keep original file)"}`
+    ))
 
-    if (!answer.yes) {
+    if (!answer) {
         log.showYellow("Will do nothing, aborted by user.")
         return
     }
 
     if (testMode) {
+        tasks.forEach(t => result.addPlanned({ path: t.src, dst: t.dst, size: t.size }))
         log.showYellow(logTag, `[DRY RUN], no thumbs generated.`)
     } else {
         startMs = Date.now()
         log.showGreen(logTag, 'startAt', dayjs().format())
         tasks.forEach(t => t.startMs = startMs)
+        const compressTasks = tasks
         tasks = await pMap(tasks, compressImage, { concurrency: cpus().length / 2 })
+        // 压缩函数直接修改任务对象，返回为空时也可以取得结果
+        compressTasks.forEach(t => result.addItem({
+            path: t.src, dst: t.dst, status: t.done ? result.STATUS_OK : result.STATUS_FAILED,
+            size: t.size, dstSize: t.done ? t.dstSize : undefined,
+            error: t.done ? undefined : t.errorMessage || 'output corrupted',
+        }))
         const okTasks = tasks.filter(t => t?.done)
         const failedTasks = tasks.filter(t => t?.errorFlag && !t.done)
         log.showGreen(logTag, `${okTasks.length} files compressed in ${helper.humanTime(startMs)}`)
         log.showGreen(logTag, 'endAt', dayjs().format(), helper.humanTime(startMs))
+        scrubGroups.length > 0 && await endExifTool()
         if (failedTasks.length > 0) {
             log.showYellow(logTag, `${okTasks.length} tasks are failed`)
             const failedContent = failedTasks.map(t => t.src).join('\n')
@@ -281,6 +310,7 @@ async function cmdCompress(argv) {
             await fs.writeFile(failedLogFile, failedContent)
             const clickablePath = failedLogFile.split(path.sep).join("/")
             log.showYellow(logTag, `failed filenames: file:///${clickablePath}`)
+            result.set('failedListFile', failedLogFile)
         }
         if (purgeSource) {
             await purgeSrcFiles(tasks)
@@ -397,17 +427,10 @@ async function purgeSrcFiles(results) {
     if (total <= 0) {
         return
     }
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to delete ${total} original files?`
-            ),
-        },
-    ])
-    if (!answer.yes) {
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to delete ${total} original files?`
+    ))
+    if (!answer) {
         log.showYellow("Will do nothing, aborted by user.")
         return
     }
@@ -8,14 +8,17 @@
 
 import chalk from 'chalk'
 import fs from 'fs-extra'
-import inquirer from "inquirer"
 import path from "path"
 
-import { addEntryProps, renameFiles } from "./cmd_shared.js"
+import { addEntryProps, addRenamePlanned, renameFiles } from "./cmd_shared.js"
 
 import * as log from '../lib/debug.js'
 import * as exif from '../lib/exif.js'
 import * as helper from '../lib/helper.js'
+import { createPatterns } from '../lib/name_date.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { groupSidecars } from '../lib/sidecar.js'
 
 const LOG_TAG = "DcimR"
 
@@ -44,7 +47,7 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             alias: "p",
             type: "string",
             default: "IMG_/DSC_/VID_",
-            description: "custom filename prefix for raw/image/video files'",
+            description: "custom filename prefix for image/raw/video files, separated by '/'",
         })
         .option("suffix", {
             // 重命名后的后缀
@@ -55,11 +58,32 @@ const builder = function addOptions(ya, helpOrVersionSet) {
         })
         .option("template", {
             // 文件名模板，使用dayjs日期格式
+            // 大括号包裹的是占位符，支持日期格式和元数据字段
+            // 字段 {model} {make} {lens} {orig} {seq} {ext} {type} {country} {city} {place}
+            // 示例 {YYYYMMDD_HHmmss}_{model}
             alias: "t",
             type: "string",
             default: "YYYYMMDD_HHmmss",
             description:
-                "filename date format template, see https://day.js.org/docs/en/display/format",
+                "filename template, dayjs date format and {model}/{make}/{lens}/{orig}/{seq}/{ext}/{type}/{country}/{city}/{place} fields, see https://day.js.org/docs/en/display/format",
+        })
+        // EXIF没有拍摄日期时，从文件名提取日期
+        .option("name-date", {
+            type: "boolean",
+            default: true,
+            description: "use date in filename when exif date is missing",
+        })
+        // 自定义文件名日期规则，正则表达式，使用命名分组
+        // 分组名 Y M D h m s 或 ts(秒时间戳) tms(毫秒时间戳)
+        .option("name-pattern", {
+            type: "array",
+            description: "custom regex for filename date, named groups: Y,M,D,h,m,s or ts,tms",
+        })
+        // 伴随文件和主文件一起处理，如 XMP AAE THM LRV JSON 和RAW+JPEG配对
+        .option("sidecar", {
+            type: "boolean",
+            default: true,
+            description: "rename/move sidecar files (xmp/aae/thm/lrv/json, RAW+JPEG) together",
         })
         // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
         .option("doit", {
@@ -84,32 +108,36 @@ const handler = async function cmdRename(argv) {
     const startMs = Date.now()
     log.show(LOG_TAG, `Input: ${root}`)
     let files = await exif.listMedia(root)
+    if (argv.sidecar) {
+        files = await groupSidecars(files)
+    }
     const fileCount = files.length
     log.show(LOG_TAG, `Total ${files.length} media files found`)
     if (files.length === 0) {
         log.showYellow(LOG_TAG, "No files found, exit now.")
         return
     }
-    const confirmFiles = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.green(`Press y to continue processing...`),
-        },
-    ])
-    if (!confirmFiles.yes) {
+    const confirmFiles = await confirm(chalk.bold.green(`Press y to continue processing...`))
+    if (!confirmFiles) {
         log.showYellow("Will do nothing, aborted by user.")
         return
     }
     log.show(LOG_TAG, `Processing files, reading EXIF data...`)
-    files = await exif.parseFiles(files, { fastMode })
+    files = await exif.parseFiles(files, {
+        fastMode,
+        nameDate: argv.nameDate,
+        namePatterns: createPatterns(argv.namePattern),
+    })
     log.show(
         LOG_TAG,
         `Total ${files.length} media files parsed`,
         fastMode ? "(FastMode)" : ""
     )
-    files = exif.buildNames(files)
+    files = exif.buildNames(files, {
+        template: argv.template,
+        prefix: argv.prefix,
+        suffix: argv.suffix,
+    })
     const [validFiles, skippedBySize, skippedByDate] = exif.checkFiles(files)
     files = validFiles
     if (fileCount - files.length > 0) {
@@ -147,20 +175,15 @@ const handler = async function cmdRename(argv) {
     )
     log.show(LOG_TAG, `task sample:`, files.slice(-2))
     log.info(LOG_TAG, argv)
+    result.set('total', files.length)
     testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to rename ${files.length} files?` +
-                (fastMode ? " (FastMode)" : "")
-            ),
-        },
-    ])
-    if (answer.yes) {
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to rename ${files.length} files?` +
+        (fastMode ? " (FastMode)" : "")
+    ))
+    if (answer) {
         if (testMode) {
+            addRenamePlanned(files)
             log.showYellow(LOG_TAG, `All ${files.length} files, NO file renamed in TEST MODE.`)
         }
         else {
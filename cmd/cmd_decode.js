@@ -71,7 +71,7 @@ const handler = async function cmdDecode(argv) {
         results.forEach(showResults)
         log.show('INPUT:', [str, str.length],)
         log.show('OUPUT:', results.pop())
-        console.log()
+        log.show()
     }
 }
 
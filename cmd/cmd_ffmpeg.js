@@ -10,7 +10,6 @@ import dayjs from 'dayjs'
 import { execa } from 'execa'
 import fs from 'fs-extra'
 import iconv from "iconv-lite"
-import inquirer from "inquirer"
 import mm from 'music-metadata'
 import { cpus } from "os"
 import pMap from 'p-map'
@@ -25,9 +24,19 @@ import presets from '../lib/ffmpeg_presets.js'
 import * as mf from '../lib/file.js'
 import * as helper from '../lib/helper.js'
 import { getMediaInfo, getSimpleInfo } from '../lib/mediainfo.js'
-import { addEntryProps, applyFileNameRules, calculateScale } from './cmd_shared.js'
+import { ACTION_FFMPEG, ACTION_SAFE_REMOVE, createItem } from '../lib/plan.js'
+import { confirm, POLICY_PURGE_EXISTING, POLICY_RETRY_FAILED } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { addEntryProps, applyFileNameRules, calculateScale, savePlan } from './cmd_shared.js'
 
 const LOG_TAG = "FFConv"
+// 计划文件中保存的预设参数，只有数字和开关，不保存参数字符串
+// apply 按预设名和这些参数重新生成 ffmpeg 参数
+const PLAN_NUMBER_OPTIONS = ['dimension', 'speed', 'framerate', 'videoBitrate', 'videoQuality', 'audioBitrate', 'audioQuality']
+const PLAN_BOOLEAN_OPTIONS = ['videoCopy', 'audioCopy']
+const DECODE_MODES = ['auto', 'gpu', 'cpu']
+// 自定义的ffmpeg参数不能保存到计划文件
+const PLAN_CUSTOM_OPTIONS = ['videoArgs', 'audioArgs', 'filters', 'filterComplex']
 // ===========================================
 // 命令内容执行
 // ===========================================
@@ -242,7 +251,7 @@ const builder = function addOptions(ya, helpOrVersionSet) {
         // 仅使用硬件解码
         .option("decode-mode", {
             type: "choices",
-            choices: ['auto', 'gpu', 'cpu'],
+            choices: DECODE_MODES,
             default: 'auto',
             describe: "video decode mode: auto/gpu/cpu",
         })
@@ -270,6 +279,11 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             default: false,
             description: "enable debug mode for ffmpeg convert",
         })
+        // 保存完整任务列表到计划文件，不执行，审核后使用 apply 命令执行
+        .option("plan", {
+            type: "string",
+            description: "save complete task list to plan file (json or csv) and exit, execute it later by apply command",
+        })
         // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
         .option("doit", {
             alias: "d",
@@ -289,6 +303,10 @@ async function cmdConvert(argv) {
         }
         return
     }
+    // apply 按预设重新生成参数，保存计划时不能使用自定义参数，否则执行的命令和预览不同
+    if (argv.plan && PLAN_CUSTOM_OPTIONS.some(k => typeof argv[k] === 'string')) {
+        throw new Error(`Custom ffmpeg args and filters are not supported with --plan`)
+    }
     const root = await helper.validateInput(argv.input)
     const testMode = !argv.doit
     const logTag = chalk.green('FFConv')
@@ -371,18 +389,11 @@ async function cmdConvert(argv) {
         }
         return
     }
-    if (fileEntries.length > 5000) {
-        const continueAnswer = await inquirer.prompt([
-            {
-                type: 'confirm',
-                name: 'yes',
-                default: false,
-                message: chalk.bold.red(
-                    `Are you sure to continue to process these ${fileEntries.length} files?`
-                )
-            }
-        ])
-        if (!continueAnswer.yes) {
+    if (fileEntries.length > 5000 && !argv.plan) {
+        const continueAnswer = await confirm(chalk.bold.red(
+            `Are you sure to continue to process these ${fileEntries.length} files?`
+        ))
+        if (!continueAnswer) {
             log.showYellow("Will do nothing, aborted by user.")
             return
         }
@@ -404,39 +415,30 @@ async function cmdConvert(argv) {
 
     log.showYellow(logTag, 'ARGV:', argv)
     log.showYellow(logTag, 'PRESET:', preset)
-    const prepareAnswer = await inquirer.prompt([
-        {
-            type: 'confirm',
-            name: 'yes',
-            default: false,
-            message: chalk.bold.red(
-                `Please check above values, press y/yes to continue. [${preset.name}]`
-            )
-        }
-    ])
-    if (!prepareAnswer.yes) {
+    // 生成计划文件不需要确认
+    const prepareAnswer = argv.plan || await confirm(chalk.bold.red(
+        `Please check above values, press y/yes to continue. [${preset.name}]`
+    ))
+    if (!prepareAnswer) {
         log.showYellow("Will do nothing, aborted by user.")
         return
     }
     log.showGreen(logTag, 'Now Preparing task files and ffmpeg cmd args...')
     let tasks = await pMap(fileEntries, prepareFFmpegCmd, { concurrency: argv.jobs || (core.isUNCPath(root) ? 4 : cpus().length) })
+    if (argv.plan) {
+        await saveFFmpegPlan(tasks, argv)
+        return
+    }
 
     // 如果选择了清理源文件
     if (argv.deleteSourceFiles) {
         // 删除目标文件已存在的源文件
         let dstExitsTasks = tasks.filter(t => t && t.dstExists && !t.fileDst)
         if (dstExitsTasks.length > 0) {
-            const answer = await inquirer.prompt([
-                {
-                    type: 'confirm',
-                    name: 'yes',
-                    default: false,
-                    message: chalk.bold.red(
-                        `Destination files of ${dstExitsTasks.length} entries already exists, do you want to delete the source files of them?`
-                    )
-                }
-            ])
-            if (answer.yes) {
+            const answer = await confirm(chalk.bold.red(
+                `Destination files of ${dstExitsTasks.length} entries already exists, do you want to delete the source files of them?`
+            ), POLICY_PURGE_EXISTING)
+            if (answer) {
                 addEntryProps(dstExitsTasks)
                 await pMap(dstExitsTasks, async (entry) => {
                     await helper.safeRemove(entry.path)
@@ -458,19 +460,13 @@ async function cmdConvert(argv) {
     log.show(logTag, chalk.cyan('CMD:'), 'ffmpeg', lastTask.ffmpegArgs.flat().join(' '))
     const totalDuration = tasks.reduce((acc, t) => acc + t.info?.duration || 0, 0)
     log.show('-----------------------------------------------------------')
+    result.set('total', tasks.length)
     testMode && log.showYellow('++++++++++ TEST MODE (DRY RUN) ++++++++++')
     log.showYellow(logTag, 'Please CHECK above details BEFORE continue!')
-    const answer = await inquirer.prompt([
-        {
-            type: 'confirm',
-            name: 'yes',
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to process these ${tasks.length} files? [${preset.name}] (total ${helper.humanSeconds(totalDuration)})`
-            )
-        }
-    ])
-    if (!answer.yes) {
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to process these ${tasks.length} files? [${preset.name}] (total ${helper.humanSeconds(totalDuration)})`
+    ))
+    if (!answer) {
         log.showYellow("Will do nothing, aborted by user.")
         return
     }
@@ -494,17 +490,10 @@ async function cmdConvert(argv) {
     let failedTasks = results.filter(r => r && r.ffmpegFailed && !r.retryOnFailed)
     let rOKCount = 0
     if (failedTasks.length > 0) {
-        const answer = await inquirer.prompt([
-            {
-                type: 'confirm',
-                name: 'yes',
-                default: false,
-                message: chalk.bold.red(
-                    `${failedTasks.length} tasks failed, do you want to retry these tasks?`
-                )
-            }
-        ])
-        if (answer.yes) {
+        const answer = await confirm(chalk.bold.red(
+            `${failedTasks.length} tasks failed, do you want to retry these tasks?`
+        ), POLICY_RETRY_FAILED)
+        if (answer) {
             for (const ft of failedTasks) {
                 log.showYellow(logTag, `Retrying task: ${ft.path}`
                 )
@@ -516,10 +505,21 @@ async function cmdConvert(argv) {
                 const rt = await runFFmpegCmd(task)
                 if (rt && rt.ok) {
                     rOKCount++
+                    ft.ok = true
+                    ft.dstSize = rt.dstSize
                 }
             }
         }
     }
+    // 每个文件的结果，runFFmpegCmd 直接修改任务对象，重试成功的算成功
+    testMode && tasks.forEach(t => result.addPlanned({ path: t.path, dst: t.fileDst, size: t.size }))
+    !testMode && tasks.forEach(t => result.addItem({
+        path: t.path, dst: t.fileDst,
+        status: t.ok ? result.STATUS_OK : t.skipReason ? result.STATUS_SKIPPED : result.STATUS_FAILED,
+        size: t.size, dstSize: t.ok ? t.dstSize : undefined,
+        reason: t.skipReason,
+        error: t.ok || t.skipReason ? undefined : t.ffmpegError || 'unknown error',
+    }))
 
     // const results = await core.asyncMapGroup(tasks, runFFmpegCmd, jobCount)
     testMode && log.showYellow(logTag, 'NO file processed in TEST MODE.')
@@ -527,6 +527,83 @@ async function cmdConvert(argv) {
     !testMode && log.showGreen(logTag, `Total ${okResults.length + rOKCount} files processed in ${helper.humanTime(startMs)}`)
 }
 
+// 只保留合法的预设参数，用于保存和读取计划文件
+function pickPlanOptions(options = {}) {
+    const picked = {}
+    PLAN_NUMBER_OPTIONS.forEach(k => options[k] > 0 && (picked[k] = Number(options[k])))
+    PLAN_BOOLEAN_OPTIONS.forEach(k => options[k] === true && (picked[k] = true))
+    DECODE_MODES.includes(options.decodeMode) && (picked.decodeMode = options.decodeMode)
+    return picked
+}
+
+// 计划条目只保存预设名和数值参数，apply 命令按源文件和目标路径重新生成ffmpeg参数
+// 选择了清理源文件时，目标文件已存在的源文件作为删除条目
+async function saveFFmpegPlan(tasks, argv) {
+    const options = pickPlanOptions(argv)
+    let items = []
+    if (argv.deleteSourceFiles) {
+        const dstExitsTasks = tasks.filter(t => t && t.dstExists && !t.fileDst)
+        items = await pMap(dstExitsTasks, t => createItem(ACTION_SAFE_REMOVE, t.path, null, 'dst exists'), { concurrency: cpus().length * 2 })
+    }
+    for (const t of tasks.filter(t => t && t.fileDst)) {
+        items.push(await createItem(ACTION_FFMPEG, t.path, t.fileDst, `${t.preset.name} ${getEntryShowInfo(t)}`, { preset: t.preset.name, options }))
+    }
+    await savePlan(argv.plan, 'ffmpeg', items)
+}
+
+// 把 shell 风格的参数拆分为参数数组，只处理双引号，不做任何 shell 展开
+function toExecArgs(args) {
+    const items = []
+    let current = null
+    let quoted = false
+    for (const c of args.flat().join(' ')) {
+        if (c === '"') {
+            quoted = !quoted
+            current = current ?? ''
+        } else if (c === ' ' && !quoted) {
+            current !== null && items.push(current)
+            current = null
+        } else {
+            current = (current ?? '') + c
+        }
+    }
+    current !== null && items.push(current)
+    return items
+}
+
+// apply 命令执行计划使用，按预设名和计划中的源文件和目标路径重新生成参数
+// 不使用计划文件中的参数，返回不需要 shell 执行的参数数组和临时文件路径
+export async function createPlanFFmpegArgs(src, dst, presetName, options) {
+    if (!presets.getPreset(presetName)) {
+        throw new Error(`Unknown ffmpeg preset: ${presetName}`)
+    }
+    if (src.includes('"') || dst.includes('"')) {
+        throw new Error('Paths with double quotes are not supported')
+    }
+    const argv = { preset: presetName, decodeMode: 'auto', ...pickPlanOptions(options) }
+    const st = await fs.stat(src)
+    const entry = await prepareFFmpegCmd({
+        path: src,
+        name: path.basename(src),
+        root: path.dirname(src),
+        size: st.size,
+        argv,
+        preset: presets.createFromArgv(argv),
+        planDst: dst,
+        index: 0,
+        total: 1,
+        startMs: Date.now(),
+    })
+    if (!entry?.ffmpegArgs) {
+        throw new Error(entry?.dstExists ? 'dst exists' : 'unsupported media file')
+    }
+    const [inputArgs, middleArgs, outputArgs] = entry.ffmpegArgs
+    return {
+        args: toExecArgs([...inputArgs, ...middleArgs, ...getCommentArgs(entry), ...outputArgs]),
+        tmp: entry.fileDstTemp,
+    }
+}
+
 async function runFFmpegCmd(entry) {
     const ipx = `${entry.index + 1}/${entry.total}`
     let logTag = chalk.green('FFCMD') + chalk.cyanBright(entry.useCPUDecode ? '[SW]' : '[HW]')
@@ -561,7 +638,8 @@ async function runFFmpegCmd(entry) {
         // Windows下 { shell: true } 必须，否则报错
         const ffmpegProcess = execa(exePath, ffmpegArgs, { shell: true, encoding: 'binary' })
         if (ffmpegProcess?.hasOwnProperty('pipeStdout')) {
-            ffmpegProcess.pipeStdout(process.stdout)
+            // JSON模式下标准输出只用于结果对象
+            ffmpegProcess.pipeStdout(log.isJsonMode() ? process.stderr : process.stdout)
             ffmpegProcess.pipeStderr(process.stderr)
         }
         const { stdout, stderr } = await ffmpegProcess
@@ -570,6 +648,7 @@ async function runFFmpegCmd(entry) {
         if (await fs.pathExists(entry.fileDst)) {
             log.showYellow(logTag, `${ipx} DstExists ${entry.fileDst}`, helper.humanSize(entry.size), entry.preset.name, helper.humanTime(ffmpegStartMs))
             await fs.remove(entry.fileDstTemp)
+            entry.skipReason = 'dst exists'
             return
         }
         if (await fs.pathExists(entry.fileDstTemp)) {
@@ -579,6 +658,7 @@ async function runFFmpegCmd(entry) {
                 log.show(logTag, chalk.yellow(ipx), chalk.green('Done'), `${entry.fileDst}`, chalk.cyan(`${helper.humanSize(entry.size)}=>${helper.humanSize(dstSize)}`), entry.preset.name, helper.humanTime(ffmpegStartMs))
                 log.fileLog(`${ipx} Done <${entry.fileDst}> [${entry.preset.name}] (${helper.humanSize(dstSize)})`, 'FFCMD')
                 entry.ok = true
+                entry.dstSize = dstSize
                 return entry
             } else {
                 // 转换失败，删除临时文件
@@ -637,10 +717,13 @@ async function prepareFFmpegCmd(entry) {
     const isAudio = helper.isAudioFile(entry.path)
     const isVideo = helper.isVideoFile(entry.path)
     const [srcDir, srcBase, srcExt] = helper.pathSplit(entry.path)
-    const dstExt = preset.format || srcExt
+    const dstExt = entry.planDst ? path.extname(entry.planDst) : preset.format || srcExt
     let fileDstDir
-    // 命令行参数指定输出目录
-    if (argv.output) {
+    if (entry.planDst) {
+        // 执行计划时使用计划中的目标路径
+        fileDstDir = path.dirname(entry.planDst)
+    } else if (argv.output) {
+        // 命令行参数指定输出目录
         switch (argv.outputMode) {
             case 'tree':
                 // 如果要保持源文件目录结构
@@ -731,7 +814,7 @@ async function prepareFFmpegCmd(entry) {
             return false
         }
         // 输出文件名基本名，含前后缀，不含扩展名
-        const [fileDstBase, prefix, suffix] = createDstBaseName(newEntry)
+        const [fileDstBase, prefix, suffix] = entry.planDst ? [path.basename(entry.planDst, dstExt)] : createDstBaseName(newEntry)
         const fileDstName = `${fileDstBase}${dstExt}`
         const fileDst = path.join(fileDstDir, `${fileDstName}`)
         // 临时文件后缀
@@ -0,0 +1,265 @@
+/*
+ * File: cmd_fixdate.js
+ * Created: 2026-10-19 18:22:00 +0800
+ * Modified: 2026-10-19 18:22:00 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import dayjs from "dayjs"
+import exiftool from "exiftool-vendored"
+import fs from 'fs-extra'
+import * as log from '../lib/debug.js'
+import * as exif from '../lib/exif.js'
+import * as helper from '../lib/helper.js'
+import { createPatterns, extractDateFromName } from '../lib/name_date.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { addEntryProps, applyFileNameRules } from "./cmd_shared.js"
+
+const LOG_TAG = "FixDate"
+// 日期来源 exif=当前EXIF日期 filename=文件名 tag=指定标签 value=固定值
+const SOURCE_LIST = ['exif', 'filename', 'tag', 'value']
+
+export { aliases, builder, command, describe, handler }
+
+const command = "fixdate <input> [options]"
+const aliases = ["fd"]
+const describe = 'Fix capture date in exif metadata, shift date, sync file mtime'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 新日期的来源
+        .option("source", {
+            alias: "s",
+            type: "choices",
+            choices: SOURCE_LIST,
+            default: 'exif',
+            description: "date source: current exif date, filename, another tag, fixed value",
+        })
+        // source=tag 时，从这个标签读取日期
+        .option("tag", {
+            type: "string",
+            description: "read date from this tag when source is tag, eg. FileModifyDate",
+        })
+        // source=value 时，使用这个固定日期
+        .option("value", {
+            type: "string",
+            description: "fixed date value when source is value, eg. '2021-01-19 11:15:46'",
+        })
+        // 自定义文件名日期规则，正则表达式，使用命名分组
+        .option("name-pattern", {
+            type: "array",
+            description: "custom regex for filename date, named groups: Y,M,D,h,m,s or ts,tms",
+        })
+        // 只处理指定相机型号的文件，包含匹配，不区分大小写
+        .option("model", {
+            alias: "m",
+            type: "string",
+            description: "only process files whose exif Model contains this string",
+        })
+        // 日期偏移，用于修正相机时钟或时区错误
+        .option("shift", {
+            type: "string",
+            description: "shift date by offset, eg. +8h, -1h30m, +1d",
+        })
+        // 只处理没有拍摄日期的文件
+        .option("only-missing", {
+            type: "boolean",
+            default: false,
+            description: "only process files without DateTimeOriginal/CreateDate/CreationDate",
+        })
+        // 修改文件系统修改时间为新的日期
+        .option("sync-mtime", {
+            type: "boolean",
+            default: false,
+            description: "set file modified time to the new date",
+        })
+        // 只修改文件修改时间，不写入EXIF
+        .option("mtime-only", {
+            type: "boolean",
+            default: false,
+            description: "only set file modified time, do not write exif",
+        })
+        // 正则，包含文件名规则
+        .option("include", {
+            alias: "I",
+            type: "string",
+            description: "filename include pattern",
+        })
+        //字符串或正则，不包含文件名规则
+        .option("exclude", {
+            alias: "E",
+            type: "string",
+            description: "filename exclude pattern ",
+        })
+        // 默认启用正则模式，禁用则为字符串模式
+        .option("regex", {
+            alias: 're',
+            type: "boolean",
+            default: true,
+            description: "match filenames by regex pattern",
+        })
+        // 需要处理的扩展名列表
+        .option("extensions", {
+            alias: "e",
+            type: "string",
+            describe: "include files by extensions (eg. .jpg|.mp4)",
+        })
+        // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+        .option("doit", {
+            alias: "d",
+            type: "boolean",
+            default: false,
+            description: "execute os operations in real mode, not dry run",
+        })
+}
+
+const handler = cmdFixDate
+
+async function cmdFixDate(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    const root = await helper.validateInput(argv.input)
+    const source = argv.source || 'exif'
+    if (source === 'tag' && !argv.tag) {
+        throw new Error(`--tag is required when source is tag`)
+    }
+    let fixedDate = null
+    if (source === 'value') {
+        fixedDate = dayjs(argv.value)
+        if (!argv.value || !fixedDate.isValid()) {
+            throw new Error(`Invalid date value: ${argv.value}`)
+        }
+    }
+    const shiftMs = argv.shift ? helper.parseDuration(argv.shift) : 0
+    if (source === 'exif' && shiftMs === 0 && !argv.syncMtime && !argv.mtimeOnly) {
+        throw new Error(`Nothing to do, use --source/--shift/--sync-mtime`)
+    }
+    const writeExif = !argv.mtimeOnly && (source !== 'exif' || shiftMs !== 0)
+    if (!testMode) {
+        log.fileLog(`Root: ${root}`, LOG_TAG)
+        log.fileLog(`Argv: ${JSON.stringify(argv)}`, LOG_TAG)
+    }
+    log.show(LOG_TAG, `Input: ${root}`)
+    let files = await exif.listMedia(root)
+    files = await applyFileNameRules(files, argv)
+    log.show(LOG_TAG, `Total ${files.length} media files found`)
+    if (files.length === 0) {
+        log.showYellow(LOG_TAG, "No files found, exit now.")
+        return
+    }
+    files = await exif.readAllTags(files)
+    const namePatterns = createPatterns(argv.namePattern)
+    const model = argv.model?.toLowerCase()
+    const tasks = []
+    for (const f of files) {
+        const tags = f.tags || {}
+        if (model && !`${tags.Model || ''}`.toLowerCase().includes(model)) {
+            continue
+        }
+        const hasDate = tags.DateTimeOriginal instanceof exiftool.ExifDateTime
+            || tags.CreationDate instanceof exiftool.ExifDateTime
+            || tags.CreateDate instanceof exiftool.ExifDateTime
+        if (argv.onlyMissing && hasDate) {
+            continue
+        }
+        let srcDate
+        let srcDesc
+        // 来源日期的时区偏移，写入时保持不变，文件名和固定值没有时区
+        let srcOffset
+        switch (source) {
+            case 'filename': {
+                const nd = extractDateFromName(f.path, namePatterns)
+                srcDate = nd?.date
+                srcDesc = `filename:${nd?.pattern}`
+                break
+            }
+            case 'tag': {
+                const v = tags[argv.tag]
+                srcDate = v instanceof exiftool.ExifDateTime ? v.toDate() : (v && dayjs(v).isValid() ? dayjs(v).toDate() : null)
+                srcOffset = v?.tzoffsetMinutes
+                srcDesc = `tag:${argv.tag}`
+                break
+            }
+            case 'value':
+                srcDate = fixedDate.toDate()
+                srcDesc = 'value'
+                break
+            default: {
+                const ed = exif.extractExifDate(f)
+                srcDate = ed?.[1]?.toDate()
+                srcOffset = ed?.[1]?.tzoffsetMinutes
+                srcDesc = `exif:${ed?.[0]}`
+            }
+        }
+        if (!srcDate) {
+            log.info(LOG_TAG, `NoDate: ${helper.pathShort(f.path)} (${source})`)
+            continue
+        }
+        const newDate = new Date(srcDate.getTime() + shiftMs)
+        const oldDate = exif.extractExifDate(f)?.[1]?.toDate()
+        tasks.push({
+            ...f,
+            srcDesc,
+            srcOffset,
+            oldDate,
+            newDate,
+            isVideo: helper.isVideoFile(f.path),
+        })
+    }
+    log.show(LOG_TAG, `Total ${tasks.length} files to fix (source=${source} shift=${argv.shift || 0})`)
+    if (tasks.length === 0) {
+        log.showYellow(LOG_TAG, "Nothing to do, exit now.")
+        return
+    }
+    result.set('total', tasks.length)
+    addEntryProps(tasks)
+    for (const t of tasks.slice(-20)) {
+        log.show(LOG_TAG, helper.pathShort(t.path, 48),
+            chalk.gray(t.oldDate ? dayjs(t.oldDate).format() : 'N/A'), '=>',
+            chalk.yellow(formatDate(t.newDate, t.srcOffset)), chalk.cyan(t.srcDesc))
+    }
+    log.show(LOG_TAG, `writeExif=${writeExif} syncMtime=${argv.syncMtime || argv.mtimeOnly}`)
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to fix date of ${tasks.length} files?`
+    ))
+    if (!answer) {
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        tasks.forEach(t => result.addPlanned({ path: t.path }))
+        log.showYellow(LOG_TAG, `${tasks.length} files, NO file modified in TEST MODE.`)
+        return
+    }
+    const startMs = Date.now()
+    let okCount = 0
+    for (const t of tasks) {
+        try {
+            if (writeExif) {
+                await exif.writeTags(t.path, ...exif.createDateTags(t.newDate, t.isVideo, t.srcOffset))
+            }
+            if (argv.syncMtime || argv.mtimeOnly) {
+                await fs.utimes(t.path, new Date(), t.newDate)
+            }
+            ++okCount
+            result.addItem({ path: t.path, status: result.STATUS_OK, date: formatDate(t.newDate, t.srcOffset), source: t.srcDesc })
+            log.show(LOG_TAG, `${chalk.green('OK')} ${t.index + 1}/${t.total} ${helper.pathShort(t.path)} ${formatDate(t.newDate, t.srcOffset)}`)
+            log.fileLog(`OK: <${t.path}> ${dayjs(t.oldDate).format()} => ${formatDate(t.newDate, t.srcOffset)} (${t.srcDesc})`, LOG_TAG)
+        } catch (error) {
+            log.error(LOG_TAG, `Failed: ${t.path}`, error.message)
+            result.addItem({ path: t.path, status: result.STATUS_FAILED, error: error.message })
+            log.fileLog(`Error: <${t.path}> ${error.message}`, LOG_TAG)
+        }
+    }
+    await exif.endExifTool()
+    log.showGreen(LOG_TAG, `${okCount}/${tasks.length} files fixed in ${helper.humanTime(startMs)}`)
+}
+
+// 按来源日期的时区显示，和写入的标签一致
+function formatDate(date, offsetMinutes) {
+    return (Number.isFinite(offsetMinutes) ? dayjs(date).utcOffset(offsetMinutes) : dayjs(date)).format()
+}
@@ -0,0 +1,205 @@
+/*
+ * File: cmd_geotag.js
+ * Created: 2026-10-19 18:31:51 +0800
+ * Modified: 2026-10-19 18:31:51 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import dayjs from "dayjs"
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as exif from '../lib/exif.js'
+import { loadGpxFiles, matchPosition } from '../lib/gpx.js'
+import * as helper from '../lib/helper.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { addEntryProps, applyFileNameRules } from "./cmd_shared.js"
+
+const LOG_TAG = "GeoTag"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "geotag <input> [options]"
+const aliases = ["gps"]
+const describe = 'Add GPS location to photos and videos by matching GPX track files'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // GPX轨迹文件，可以指定多个
+        .option("gpx", {
+            alias: "g",
+            type: "array",
+            demandOption: true,
+            description: "GPX track files, can be used multiple times",
+        })
+        // 拍摄时间和轨迹点的最大时间差
+        .option("tolerance", {
+            type: "string",
+            default: "2m",
+            description: "max time difference between capture time and track point, eg. 30s, 5m",
+        })
+        // 相机时钟偏差，加到拍摄时间上，相机快了30秒用 -30s
+        .option("offset", {
+            type: "string",
+            description: "camera clock offset added to capture time, eg. -30s if camera is 30s fast",
+        })
+        // 前后两个轨迹点都在容差内时，按时间插值计算位置
+        .option("interpolate", {
+            type: "boolean",
+            default: true,
+            description: "interpolate position between two track points",
+        })
+        // 覆盖已有的GPS信息
+        .option("overwrite", {
+            type: "boolean",
+            default: false,
+            description: "overwrite existing GPS location in files",
+        })
+        // 正则，包含文件名规则
+        .option("include", {
+            alias: "I",
+            type: "string",
+            description: "filename include pattern",
+        })
+        //字符串或正则，不包含文件名规则
+        .option("exclude", {
+            alias: "E",
+            type: "string",
+            description: "filename exclude pattern ",
+        })
+        // 默认启用正则模式，禁用则为字符串模式
+        .option("regex", {
+            alias: 're',
+            type: "boolean",
+            default: true,
+            description: "match filenames by regex pattern",
+        })
+        // 需要处理的扩展名列表
+        .option("extensions", {
+            alias: "e",
+            type: "string",
+            describe: "include files by extensions (eg. .jpg|.mp4)",
+        })
+        // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+        .option("doit", {
+            alias: "d",
+            type: "boolean",
+            default: false,
+            description: "execute os operations in real mode, not dry run",
+        })
+}
+
+const handler = cmdGeoTag
+
+async function cmdGeoTag(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    const root = await helper.validateInput(argv.input)
+    const tolerance = helper.parseDuration(argv.tolerance || "2m")
+    const offset = argv.offset ? helper.parseDuration(argv.offset) : 0
+    const gpxFiles = argv.gpx.map(f => path.resolve(String(f)))
+    if (!testMode) {
+        log.fileLog(`Root: ${root}`, LOG_TAG)
+        log.fileLog(`Argv: ${JSON.stringify(argv)}`, LOG_TAG)
+    }
+    const points = await loadGpxFiles(gpxFiles)
+    if (points.length === 0) {
+        throw new Error(`No track points found in gpx files: ${gpxFiles}`)
+    }
+    log.show(LOG_TAG, `${points.length} track points loaded, ${dayjs(points[0].time).format()} ~ ${dayjs(points.at(-1).time).format()}`)
+    log.show(LOG_TAG, `Input: ${root}`)
+    let files = await exif.listMedia(root)
+    files = await applyFileNameRules(files, argv)
+    log.show(LOG_TAG, `Total ${files.length} media files found`)
+    if (files.length === 0) {
+        log.showYellow(LOG_TAG, "No files found, exit now.")
+        return
+    }
+    files = await exif.parseFiles(files, { nameDate: true })
+    result.set('total', files.length)
+    const tasks = []
+    let skipCount = 0
+    let noMatchCount = 0
+    for (const f of files) {
+        if (!argv.overwrite && Number.isFinite(f.lat) && Number.isFinite(f.lon)) {
+            ++skipCount
+            log.info(LOG_TAG, `HasGPS: ${helper.pathShort(f.path)}`)
+            result.addItem({ path: f.path, status: result.STATUS_SKIPPED, reason: 'has gps' })
+            continue
+        }
+        const time = f.date.getTime() + offset
+        const pos = matchPosition(points, time, { tolerance, interpolate: argv.interpolate })
+        if (!pos) {
+            ++noMatchCount
+            log.info(LOG_TAG, `NoMatch: ${helper.pathShort(f.path)} ${dayjs(time).format()}`)
+            result.addItem({ path: f.path, status: result.STATUS_SKIPPED, reason: 'no match' })
+            continue
+        }
+        tasks.push({ ...f, time, pos, isVideo: helper.isVideoFile(f.path) })
+    }
+    skipCount > 0 && log.showYellow(LOG_TAG, `${skipCount} files already have GPS, skipped (use --overwrite)`)
+    noMatchCount > 0 && log.showYellow(LOG_TAG, `${noMatchCount} files have no track point within ${argv.tolerance}`)
+    if (tasks.length === 0) {
+        log.showYellow(LOG_TAG, "Nothing to do, exit now.")
+        return
+    }
+    addEntryProps(tasks)
+    showMatchTable(tasks)
+    log.show(LOG_TAG, `Total ${tasks.length} files matched (tolerance=${argv.tolerance} offset=${argv.offset || 0})`)
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to write GPS location to ${tasks.length} files?`
+    ))
+    if (!answer) {
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        tasks.forEach(t => result.addPlanned({ path: t.path }))
+        log.showYellow(LOG_TAG, `${tasks.length} files, NO file modified in TEST MODE.`)
+        return
+    }
+    const startMs = Date.now()
+    let okCount = 0
+    for (const t of tasks) {
+        try {
+            const { lat, lon, ele } = t.pos
+            await exif.writeTags(t.path, exif.createGpsTags(lat, lon, ele, t.isVideo))
+            ++okCount
+            result.addItem({ path: t.path, status: result.STATUS_OK, lat, lon, ele, method: t.pos.method })
+            log.show(LOG_TAG, `${chalk.green('OK')} ${t.index + 1}/${t.total} ${helper.pathShort(t.path)} ${lat.toFixed(6)},${lon.toFixed(6)}`)
+            log.fileLog(`OK: <${t.path}> ${lat},${lon},${ele} (${t.pos.method})`, LOG_TAG)
+        } catch (error) {
+            log.error(LOG_TAG, `Failed: ${t.path}`, error.message)
+            result.addItem({ path: t.path, status: result.STATUS_FAILED, error: error.message })
+            log.fileLog(`Error: <${t.path}> ${error.message}`, LOG_TAG)
+        }
+    }
+    await exif.endExifTool()
+    log.showGreen(LOG_TAG, `${okCount}/${tasks.length} files geotagged in ${helper.humanTime(startMs)}`)
+}
+
+// 显示匹配结果表格，时间差为到最近轨迹点的秒数，距离为到最近轨迹点的米数
+function showMatchTable(tasks) {
+    const rows = tasks.slice(-50).map(t => [
+        path.basename(t.path),
+        dayjs(t.time).format("YYYY-MM-DD HH:mm:ss"),
+        `${t.pos.lat.toFixed(6)},${t.pos.lon.toFixed(6)}`,
+        t.pos.ele !== undefined ? t.pos.ele.toFixed(1) : '-',
+        t.pos.method,
+        `${Math.round(t.pos.timeDiff / 1000)}s`,
+        `${Math.round(t.pos.distance)}m`,
+    ])
+    const header = ['File', 'Time', 'Position', 'Ele', 'Method', 'ΔTime', 'Dist']
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)))
+    const format = (r) => r.map((c, i) => c.padEnd(widths[i])).join('  ')
+    log.show(chalk.bold(format(header)))
+    for (const r of rows) {
+        log.show(format(r))
+    }
+    if (tasks.length > rows.length) {
+        log.show(chalk.gray(`... ${tasks.length - rows.length} more files`))
+    }
+}
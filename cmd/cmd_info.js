@@ -0,0 +1,259 @@
+/*
+ * File: cmd_info.js
+ * Created: 2026-10-19 18:38:38 +0800
+ * Modified: 2026-10-19 18:38:38 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import dayjs from "dayjs"
+import fs from 'fs-extra'
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as exif from '../lib/exif.js'
+import * as mf from '../lib/file.js'
+import { reverseGeocode } from '../lib/geocode.js'
+import * as helper from '../lib/helper.js'
+import { getMediaInfo } from '../lib/mediainfo.js'
+import * as result from '../lib/result.js'
+import { applyFileNameRules, formatCsv } from "./cmd_shared.js"
+
+const LOG_TAG = "Info"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "info <input...>"
+const aliases = ["mi"]
+const describe = 'Show EXIF and media info of files as table, JSON or CSV'
+
+// 可选的列，value 返回字符串或数字，没有值时返回 undefined
+const COLUMNS = {
+    date: {
+        header: "Date",
+        value: (f) => {
+            const d = exif.selectDateTag(f.tags || {})?.[1]?.toDate?.() || f.info?.createdAt
+            return d && dayjs(d).isValid() ? dayjs(d).format("YYYY-MM-DD HH:mm:ss") : undefined
+        },
+    },
+    model: {
+        header: "Model",
+        value: (f) => {
+            const { Make, Model } = f.tags || {}
+            // 很多相机的型号已经包含厂商名
+            if (Make && Model && !String(Model).toLowerCase().startsWith(String(Make).toLowerCase().split(' ')[0])) {
+                return `${Make} ${Model}`
+            }
+            return Model || Make
+        },
+    },
+    lens: {
+        header: "Lens",
+        value: (f) => f.tags?.LensModel || f.tags?.LensID || f.tags?.Lens,
+    },
+    dims: {
+        header: "Dims",
+        value: (f) => {
+            const w = f.info?.video?.width || f.tags?.ImageWidth
+            const h = f.info?.video?.height || f.tags?.ImageHeight
+            return w && h ? `${w}x${h}` : undefined
+        },
+    },
+    duration: {
+        header: "Duration",
+        value: (f) => {
+            const d = Number(f.info?.duration || f.tags?.Duration)
+            return d > 0 ? Math.round(d * 100) / 100 : undefined
+        },
+    },
+    codec: {
+        header: "Codec",
+        value: (f) => {
+            const codecs = [f.info?.video?.format, f.info?.audio?.format].filter(Boolean)
+            return codecs.length > 0 ? codecs.join('+') : f.tags?.CompressorID
+        },
+    },
+    bitrate: {
+        header: "Bitrate(K)",
+        value: (f) => {
+            const b = Number(f.info?.bitrate)
+            return b > 0 ? Math.round(b / 1000) : undefined
+        },
+    },
+    gps: {
+        header: "GPS",
+        value: (f) => {
+            const { GPSLatitude: lat, GPSLongitude: lon } = f.tags || {}
+            return Number.isFinite(lat) && Number.isFinite(lon) ? `${lat.toFixed(6)},${lon.toFixed(6)}` : undefined
+        },
+    },
+    place: {
+        header: "Place",
+        value: (f) => {
+            const { GPSLatitude: lat, GPSLongitude: lon } = f.tags || {}
+            const geo = Number.isFinite(lat) && Number.isFinite(lon) && reverseGeocode(lat, lon)
+            return geo ? `${geo.place}, ${geo.country}` : undefined
+        },
+    },
+    size: {
+        header: "Size",
+        value: (f) => f.size,
+    },
+}
+
+const COLUMNS_DEFAULT = ["date", "model", "lens", "dims", "duration", "codec", "bitrate", "gps"]
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 需要显示的列
+        .option("columns", {
+            alias: "c",
+            type: "array",
+            default: COLUMNS_DEFAULT,
+            description: `columns to show, available: ${Object.keys(COLUMNS).join(',')}`,
+        })
+        // 输出格式
+        .option("format", {
+            alias: "f",
+            type: "string",
+            choices: ["table", "json", "csv"],
+            default: "table",
+            description: "output format",
+        })
+        // 输出到文件，不指定则输出到终端
+        .option("output", {
+            alias: "o",
+            type: "string",
+            description: "write output to file instead of console",
+        })
+        // 遍历子目录
+        .option("recursive", {
+            alias: "r",
+            type: "boolean",
+            default: true,
+            description: "list files in sub directories",
+        })
+        // 视频和音频文件使用ffprobe/mediainfo读取时长和编码信息
+        .option("media-info", {
+            type: "boolean",
+            default: true,
+            description: "read duration/codec/bitrate of video and audio by ffprobe or mediainfo",
+        })
+        // 正则，包含文件名规则
+        .option("include", {
+            alias: "I",
+            type: "string",
+            description: "filename include pattern",
+        })
+        //字符串或正则，不包含文件名规则
+        .option("exclude", {
+            alias: "E",
+            type: "string",
+            description: "filename exclude pattern ",
+        })
+        // 默认启用正则模式，禁用则为字符串模式
+        .option("regex", {
+            alias: 're',
+            type: "boolean",
+            default: true,
+            description: "match filenames by regex pattern",
+        })
+        // 需要处理的扩展名列表
+        .option("extensions", {
+            alias: "e",
+            type: "string",
+            describe: "include files by extensions (eg. .jpg|.mp4)",
+        })
+}
+
+const handler = cmdInfo
+
+async function cmdInfo(argv) {
+    log.info(LOG_TAG, argv)
+    const columns = [...new Set(argv.columns.flatMap(c => String(c).split(',')))]
+    const invalid = columns.filter(c => !COLUMNS[c])
+    if (invalid.length > 0) {
+        throw new Error(`Invalid columns: ${invalid}, available: ${Object.keys(COLUMNS)}`)
+    }
+    let files = []
+    for (const input of argv.input) {
+        files = files.concat(await listInput(String(input), argv.recursive))
+    }
+    files = await applyFileNameRules(files, argv)
+    if (files.length === 0) {
+        log.showYellow(LOG_TAG, "No files found, exit now.")
+        return
+    }
+    const startMs = Date.now()
+    files = await exif.readAllTags(files)
+    if (argv.mediaInfo) {
+        await readMediaInfos(files)
+    }
+    log.info(LOG_TAG, `${files.length} files read in ${helper.humanTime(startMs)}`)
+    const rows = files.map(f => ({
+        path: f.path,
+        ...Object.fromEntries(columns.map(c => [c, COLUMNS[c].value(f)])),
+    }))
+    result.set('total', rows.length)
+    result.set('columns', columns)
+    rows.forEach(r => result.addItem({ ...r, status: result.STATUS_OK }))
+    let content
+    if (argv.format === "json") {
+        content = JSON.stringify(rows, null, 4)
+    } else if (argv.format === "csv") {
+        content = formatCsv(rows, ["path", ...columns])
+    } else {
+        content = formatTable(rows, columns, !argv.output)
+    }
+    if (argv.output) {
+        const output = path.resolve(argv.output)
+        await fs.outputFile(output, content + '\n')
+        log.showGreen(LOG_TAG, `${rows.length} files, ${argv.format} output saved to ${output}`)
+        result.set('outputFile', output)
+    } else if (!log.isJsonMode()) {
+        // JSON模式下每行数据已在结果对象中
+        log.show(content)
+    }
+}
+
+// 输入可以是文件或目录，目录只列出媒体文件
+async function listInput(input, recursive) {
+    const fpath = path.resolve(input)
+    if (!(await fs.pathExists(fpath))) {
+        log.showYellow(LOG_TAG, `Not found: ${fpath}`)
+        return []
+    }
+    const st = await fs.stat(fpath)
+    if (st.isFile()) {
+        return [{ root: path.dirname(fpath), name: path.basename(fpath), path: fpath, stats: st, size: st.size }]
+    }
+    return await mf.walk(fpath, {
+        needStats: true,
+        maxDepth: recursive ? 99 : 0,
+        entryFilter: (entry) => entry.isFile && helper.isMediaFile(entry.name),
+    })
+}
+
+// 读取视频和音频的时长编码等信息，工具不存在时只提示一次
+async function readMediaInfos(files) {
+    for (const f of files) {
+        if (!helper.isVideoFile(f.path) && !helper.isAudioFile(f.path)) {
+            continue
+        }
+        try {
+            f.info = await getMediaInfo(f.path)
+        } catch (error) {
+            log.warn(LOG_TAG, `Media info not available: ${error.message}`)
+            return
+        }
+    }
+}
+
+function formatTable(rows, columns, colored) {
+    const header = ["File", ...columns.map(c => COLUMNS[c].header)]
+    const lines = rows.map(r => [helper.pathShort(r.path, 40), ...columns.map(c => r[c] === undefined ? '-' : String(r[c]))])
+    const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)))
+    const format = (l) => l.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd()
+    const headerLine = format(header)
+    return [colored ? chalk.bold(headerLine) : headerLine, ...lines.map(format)].join('\n')
+}
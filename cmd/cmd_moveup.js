@@ -8,12 +8,15 @@
 
 import chalk from 'chalk'
 import fs from 'fs-extra'
-import inquirer from "inquirer"
 import path from "path"
 
 import * as log from '../lib/debug.js'
 import * as mf from '../lib/file.js'
 import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
+import { confirm, POLICY_CLEANUP_DIRS } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { groupSidecars, sidecarTargets } from '../lib/sidecar.js'
 
 
 export { aliases, builder, command, describe, handler }
@@ -37,6 +40,12 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             type: "boolean",
             description: "move files to sub dirs in root dir",
         })
+        // 伴随文件和主文件一起处理，如 XMP AAE THM LRV JSON 和RAW+JPEG配对
+        .option("sidecar", {
+            type: "boolean",
+            default: true,
+            description: "rename/move sidecar files (xmp/aae/thm/lrv/json, RAW+JPEG) together",
+        })
         // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
         .option("doit", {
             alias: "d",
@@ -74,17 +83,10 @@ const handler = async function cmdMoveUp(argv) {
         .map(d => d.name)
     log.show(logTag, "found sub dirs:", subDirs)
     testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to move all files to top sub folder?`
-            ),
-        },
-    ])
-    if (!answer.yes) {
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to move all files to top sub folder?`
+    ))
+    if (!answer) {
         log.showYellow(logTag, "Will do nothing, aborted by user.")
         return
     }
@@ -102,6 +104,10 @@ const handler = async function cmdMoveUp(argv) {
         let files = await mf.walk(subDirPath, {
             needStats: true,
         })
+        // 伴随文件跟随主文件移动到同一目录
+        if (argv.sidecar) {
+            files = await groupSidecars(files)
+        }
         totalCount += files.length
         log.show(logTag, `Total ${files.length} media files found in ${subDirPath}`)
         const outDirPaths = outDirNames.map(x => path.join(curDir, x))
@@ -136,6 +142,7 @@ const handler = async function cmdMoveUp(argv) {
             }
             if (!(await fs.pathExists(fileSrc))) {
                 log.showYellow(logTag, "Not Found:", fileSrc)
+                result.addItem({ path: fileSrc, dst: fileDst, status: result.STATUS_SKIPPED, size: f.size, reason: 'src not found' })
                 continue
             }
 
@@ -154,39 +161,44 @@ const handler = async function cmdMoveUp(argv) {
             //todo check file size 
             if (await fs.pathExists(fileDst)) {
                 log.showYellow(logTag, "Exists:", fileDst)
+                result.addItem({ path: fileSrc, dst: fileDst, status: result.STATUS_SKIPPED, size: f.size, reason: 'dst exists' })
                 continue
             }
 
             try {
                 if (testMode) {
                     log.debug(logTag, "NotMoved:", fileSrc, "to", fileDst)
+                    result.addPlanned({ path: fileSrc, dst: fileDst, size: f.size })
                 } else {
                     await fs.move(fileSrc, fileDst)
+                    await journal.record(journal.OP_MOVE, fileSrc, fileDst)
+                    for (const [sSrc, sDst] of sidecarTargets(f, fileDst)) {
+                        if (await fs.pathExists(sSrc) && !await fs.pathExists(sDst)) {
+                            await fs.move(sSrc, sDst)
+                            await journal.record(journal.OP_MOVE, sSrc, sDst)
+                            log.fileLog(`Moved: <${sSrc}> => <${sDst}> [Sidecar]`, logTag)
+                        }
+                    }
                     // movedFiles.push([fileSrc, fileDst]);
                     movedCount++
+                    result.addItem({ path: fileSrc, dst: fileDst, status: result.STATUS_OK, size: f.size })
                     log.info(logTag, "Moved:", fileSrc, "to", fileDst)
                     log.fileLog(`Moved: <${fileSrc}> => <${fileDst}>`, logTag)
                 }
 
             } catch (error) {
                 log.error(logTag, "Failed:", error, fileSrc, "to", fileDst)
+                result.addItem({ path: fileSrc, dst: fileDst, status: result.STATUS_FAILED, size: f.size, error: error.message })
             }
         }
         log.showGreen(logTag, `${files.length} files in ${helper.pathShort(subDirPath)} are moved.`, testMode ? "[DRY RUN]" : "")
     }
     log.showGreen(logTag, `Total ${movedCount}/${totalCount} files moved.`, testMode ? "[DRY RUN]" : "")
+    result.set('total', totalCount)
     log.showYellow(logTag, "There are some unused folders left after moving up operations.")
 
-    const cleanupAnswer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Do you want to cleanup these unused sub folders?`),
-        },
-    ])
-    if (!cleanupAnswer.yes) {
+    const cleanupAnswer = await confirm(chalk.bold.red(`Do you want to cleanup these unused sub folders?`), POLICY_CLEANUP_DIRS)
+    if (!cleanupAnswer) {
         return
     }
 
@@ -201,16 +213,8 @@ const handler = async function cmdMoveUp(argv) {
     log.showYellow(logTag, `There are ${toRemoveDirList.size} unused dirs to ${chalk.red("DELETE")}, samples:`)
     log.show([...toRemoveDirList].slice(-10))
     testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
-    const removeUnusedAnswer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to DELETE these unused folders?`),
-        },
-    ])
-    if (!removeUnusedAnswer.yes) {
+    const removeUnusedAnswer = await confirm(chalk.bold.red(`Are you sure to DELETE these unused folders?`), POLICY_CLEANUP_DIRS)
+    if (!removeUnusedAnswer) {
         log.showYellow(logTag, "Will do nothing, aborted by user.")
         return
     }
@@ -224,6 +228,7 @@ const handler = async function cmdMoveUp(argv) {
         log.show(logTag, "SafeDel", helper.pathShort(td), testMode ? "[DRY RUN]" : "")
     }
     log.showGreen(logTag, `${delCount} dirs were SAFE DELETED ${testMode ? "[DRY RUN]" : ""}`)
+    result.set('removedDirs', delCount)
 }
 
 function setDifference(setA, setB) {
@@ -0,0 +1,285 @@
+/*
+ * File: cmd_organize.js
+ * Created: 2026-10-19 18:26:02 +0800
+ * Modified: 2026-10-19 18:26:02 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as exif from '../lib/exif.js'
+import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
+import { createPatterns } from '../lib/name_date.js'
+import { renderNameTemplate } from '../lib/name_template.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { groupSidecars, sidecarTargets } from '../lib/sidecar.js'
+import { addEntryProps, applyFileNameRules } from "./cmd_shared.js"
+
+const LOG_TAG = "Organize"
+// 文件操作模式 移动 复制 硬链接
+const MODE_LIST = ['move', 'copy', 'hardlink']
+const TEMPLATE_DEFAULT = "{YYYYMM}"
+const TEMPLATE_BY_DAY = "{YYYYMMDD}"
+// 模板字段为空时的目录名
+const UNKNOWN_DIR_NAME = "Unknown"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "organize <input> [output]"
+const aliases = ["oz"]
+const describe = 'Organize media files into folders by date and metadata template'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 目标目录模板，斜杠分隔子目录
+        // 支持dayjs日期格式和元数据字段 {model} {make} {lens} {ext} {type}
+        // 有GPS位置时支持地点字段 {country} {city} {place}
+        // 示例 {YYYY}/{YYYY-MM}/{model}
+        .option("template", {
+            alias: "t",
+            type: "string",
+            description: "output folder template, eg. {YYYY}/{YYYY-MM}/{model}, fields: {model}/{make}/{lens}/{ext}/{type}/{country}/{city}/{place}",
+        })
+        // 按天创建文件夹，等同于 --template {YYYYMMDD}
+        // 没有短参数，-d 和其它命令一样用于 --doit
+        .option("day", {
+            type: "boolean",
+            default: false,
+            description: "organize files by day, default by month",
+        })
+        // 文件操作模式
+        .option("mode", {
+            alias: "m",
+            type: "choices",
+            choices: MODE_LIST,
+            default: 'move',
+            description: "file operation mode: move, copy, hardlink",
+        })
+        // 快速模式，使用文件修改时间，不解析EXIF
+        .option("fast", {
+            alias: "f",
+            type: "boolean",
+            default: false,
+            description: "fast mode (use file modified time, no exif parse)",
+        })
+        // 没有EXIF日期时，从文件名提取日期
+        .option("name-date", {
+            type: "boolean",
+            default: true,
+            description: "use date in filename when exif date is missing",
+        })
+        // 自定义文件名日期规则，正则表达式，使用命名分组
+        .option("name-pattern", {
+            type: "array",
+            description: "custom regex for filename date, named groups: Y,M,D,h,m,s or ts,tms",
+        })
+        // 伴随文件和主文件一起处理，如 XMP AAE THM LRV JSON 和RAW+JPEG配对
+        .option("sidecar", {
+            type: "boolean",
+            default: true,
+            description: "rename/move sidecar files (xmp/aae/thm/lrv/json, RAW+JPEG) together",
+        })
+        // 正则，包含文件名规则
+        .option("include", {
+            alias: "I",
+            type: "string",
+            description: "filename include pattern",
+        })
+        //字符串或正则，不包含文件名规则
+        .option("exclude", {
+            alias: "E",
+            type: "string",
+            description: "filename exclude pattern ",
+        })
+        // 默认启用正则模式，禁用则为字符串模式
+        .option("regex", {
+            alias: 're',
+            type: "boolean",
+            default: true,
+            description: "match filenames by regex pattern",
+        })
+        // 需要处理的扩展名列表
+        .option("extensions", {
+            alias: "e",
+            type: "string",
+            describe: "include files by extensions (eg. .jpg|.mp4)",
+        })
+        // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+        .option("doit", {
+            alias: "d",
+            type: "boolean",
+            default: false,
+            description: "execute os operations in real mode, not dry run",
+        })
+}
+
+const handler = cmdOrganize
+
+async function cmdOrganize(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    const root = await helper.validateInput(argv.input)
+    const output = argv.output ? path.resolve(argv.output) : root
+    const mode = argv.mode || 'move'
+    const template = argv.template || (argv.day ? TEMPLATE_BY_DAY : TEMPLATE_DEFAULT)
+    if (!testMode) {
+        log.fileLog(`Root: ${root}`, LOG_TAG)
+        log.fileLog(`Argv: ${JSON.stringify(argv)}`, LOG_TAG)
+    }
+    log.show(LOG_TAG, `Input: ${root}`)
+    log.show(LOG_TAG, `Output: ${output}`)
+    log.show(LOG_TAG, `Template: ${template} Mode: ${mode}`)
+    let files = await exif.listMedia(root)
+    files = await applyFileNameRules(files, argv)
+    if (argv.sidecar) {
+        files = await groupSidecars(files)
+    }
+    log.show(LOG_TAG, `Total ${files.length} media files found`)
+    if (files.length === 0) {
+        log.showYellow(LOG_TAG, "No files found, exit now.")
+        return
+    }
+    files = await exif.parseFiles(files, {
+        fastMode: argv.fast,
+        nameDate: argv.nameDate,
+        namePatterns: createPatterns(argv.namePattern),
+    })
+    // 跳过大小为0的文件
+    files = files.filter(f => {
+        f.size > 0 || log.showYellow(LOG_TAG, `ZeroSize: ${helper.pathShort(f.path)}`)
+        return f.size > 0
+    })
+    const tasks = []
+    const dstSet = new Set()
+    let skipCount = 0
+    for (const f of files) {
+        const fileDst = await createDstPath(f, output, template, dstSet)
+        if (!fileDst) {
+            ++skipCount
+            continue
+        }
+        dstSet.add(fileDst)
+        tasks.push({ ...f, fileSrc: f.path, fileDst })
+    }
+    skipCount > 0 && log.showYellow(LOG_TAG, `${skipCount} files are already in place, skipped`)
+    if (tasks.length === 0) {
+        log.showYellow(LOG_TAG, "Nothing to do, exit now.")
+        return
+    }
+    result.set('total', tasks.length)
+    result.set('mode', mode)
+    addEntryProps(tasks)
+    // 按目标目录分组统计
+    const dirs = {}
+    for (const t of tasks) {
+        const dir = path.dirname(t.fileDst)
+        dirs[dir] = (dirs[dir] || 0) + 1
+    }
+    for (const [dir, count] of Object.entries(dirs).slice(-20)) {
+        log.show(LOG_TAG, `${count} files => ${helper.pathShort(dir)}`)
+    }
+    for (const t of tasks.slice(-10)) {
+        log.info(LOG_TAG, `${mode}: ${helper.pathShort(t.fileSrc)} => ${helper.pathShort(t.fileDst)}`)
+    }
+    log.show(LOG_TAG, `Total ${tasks.length} files will be ${mode === 'hardlink' ? 'linked' : mode + 'd'} to ${Object.keys(dirs).length} folders`)
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to ${mode} these ${tasks.length} files?`
+    ))
+    if (!answer) {
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        tasks.forEach(t => result.addPlanned({ path: t.fileSrc, dst: t.fileDst, size: t.size }))
+        log.showYellow(LOG_TAG, `${tasks.length} files, NO file ${mode === 'hardlink' ? 'linked' : mode + 'd'} in TEST MODE.`)
+        return
+    }
+    const startMs = Date.now()
+    let okCount = 0
+    for (const t of tasks) {
+        if (await organizeOneFile(t, mode)) {
+            ++okCount
+        }
+    }
+    log.showGreen(LOG_TAG, `${okCount}/${tasks.length} files processed in ${helper.humanTime(startMs)} (${mode})`)
+}
+
+// 根据模板生成目标路径，每一级目录单独渲染
+// 文件已在目标位置时返回undefined
+async function createDstPath(f, output, template, dstSet) {
+    const fields = exif.buildNameFields(f)
+    const dirNames = template.split(/[/\\]/).filter(Boolean).map(
+        (part) => renderNameTemplate(part, fields, f.date) || UNKNOWN_DIR_NAME)
+    const dstDir = path.join(output, ...dirNames)
+    const [, base, ext] = helper.pathSplit(f.path)
+    let fileDst = path.join(dstDir, `${base}${ext}`)
+    if (fileDst === f.path) {
+        return
+    }
+    // 同名文件已存在，大小相同视为同一文件跳过，否则添加序号
+    let index = 0
+    while (dstSet.has(fileDst) || await fs.pathExists(fileDst)) {
+        if (!dstSet.has(fileDst)) {
+            const st = await fs.stat(fileDst)
+            if (st.size === f.size) {
+                log.info(LOG_TAG, `Skip Exists: ${helper.pathShort(fileDst)}`)
+                return
+            }
+        }
+        fileDst = path.join(dstDir, `${base}_${++index}${ext}`)
+    }
+    return fileDst
+}
+
+async function organizeOneFile(t, mode) {
+    const { fileSrc, fileDst } = t
+    try {
+        if (!(await fs.pathExists(fileSrc))) {
+            log.showYellow(LOG_TAG, "Not Found:", fileSrc)
+            result.addItem({ path: fileSrc, dst: fileDst, status: result.STATUS_SKIPPED, size: t.size, reason: 'src not found' })
+            return false
+        }
+        if (await fs.pathExists(fileDst)) {
+            log.showYellow(LOG_TAG, "Exists:", fileDst)
+            result.addItem({ path: fileSrc, dst: fileDst, status: result.STATUS_SKIPPED, size: t.size, reason: 'dst exists' })
+            return false
+        }
+        await fs.ensureDir(path.dirname(fileDst))
+        await transferFile(fileSrc, fileDst, mode)
+        // 伴随文件使用主文件的目标文件名
+        for (const [sSrc, sDst] of sidecarTargets(t, fileDst)) {
+            if (!await fs.pathExists(sSrc) || await fs.pathExists(sDst)) {
+                log.showYellow(LOG_TAG, "Skip Sidecar:", sSrc)
+                continue
+            }
+            await transferFile(sSrc, sDst, mode)
+            log.info(LOG_TAG, `Sidecar ${mode}: ${helper.pathShort(sSrc)} => ${helper.pathShort(sDst)}`)
+        }
+        log.info(LOG_TAG, `${chalk.green('OK')} ${t.index + 1}/${t.total} ${mode}: ${helper.pathShort(fileSrc)} => ${helper.pathShort(fileDst)}`)
+        result.addItem({ path: fileSrc, dst: fileDst, status: result.STATUS_OK, size: t.size })
+        return true
+    } catch (error) {
+        log.error(LOG_TAG, `Failed: ${mode} <${fileSrc}> => <${fileDst}>`, error.message)
+        result.addItem({ path: fileSrc, dst: fileDst, status: result.STATUS_FAILED, size: t.size, error: error.message })
+        log.fileLog(`Error: ${mode} <${fileSrc}> => <${fileDst}> ${error.message}`, LOG_TAG)
+        return false
+    }
+}
+
+async function transferFile(fileSrc, fileDst, mode) {
+    if (mode === 'copy') {
+        await fs.copy(fileSrc, fileDst, { preserveTimestamps: true })
+    } else if (mode === 'hardlink') {
+        await fs.link(fileSrc, fileDst)
+    } else {
+        await fs.move(fileSrc, fileDst)
+        await journal.record(journal.OP_MOVE, fileSrc, fileDst)
+    }
+    log.fileLog(`${mode}: <${fileSrc}> => <${fileDst}>`, LOG_TAG)
+}
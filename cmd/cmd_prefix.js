@@ -10,7 +10,6 @@
 import chalk from 'chalk'
 import { sify } from 'chinese-conv'
 import fs from 'fs-extra'
-import inquirer from "inquirer"
 import { cpus } from "os"
 import pMap from 'p-map'
 import path from "path"
@@ -18,7 +17,9 @@ import { asyncFilter } from '../lib/core.js'
 import * as log from '../lib/debug.js'
 import * as mf from '../lib/file.js'
 import * as helper from '../lib/helper.js'
-import { RE_MEDIA_DIR_NAME, RE_ONLY_NUMBER, RE_UGLY_CHARS, RE_UGLY_CHARS_BORDER, cleanFileName, renameFiles } from "./cmd_shared.js"
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { addRenamePlanned, RE_MEDIA_DIR_NAME, RE_ONLY_NUMBER, RE_UGLY_CHARS, RE_UGLY_CHARS_BORDER, cleanFileName, renameFiles } from "./cmd_shared.js"
 
 const MODE_AUTO = "auto"
 const MODE_DIR = "dirname"
@@ -381,19 +382,14 @@ const handler = async function cmdPrefix(argv) {
         return
     }
     log.show(logTag, argv)
+    result.set('total', tasks.length)
     testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to rename these ${tasks.length} files?`
-            ),
-        },
-    ])
-    if (answer.yes) {
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to rename these ${tasks.length} files?`
+    ))
+    if (answer) {
         if (testMode) {
+            addRenamePlanned(tasks)
             log.showYellow(logTag, `${tasks.length} files, NO file renamed in TEST MODE.`)
         }
         else {
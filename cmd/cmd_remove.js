@@ -13,28 +13,46 @@ import dayjs from "dayjs"
 import { fileTypeFromFile } from 'file-type'
 import fs from 'fs-extra'
 import imageSizeOfSync from 'image-size'
-import inquirer from "inquirer"
 import { cpus } from "os"
 import pMap from 'p-map'
 import path from "path"
 import { argv } from "process"
 import { promisify } from 'util'
+import { CATALOG_FIELDS, createEntry, readEntries } from '../lib/catalog.js'
 import { comparePathSmartBy, uniqueByFields } from "../lib/core.js"
 import * as log from '../lib/debug.js'
+import { findDuplicates, KEEP_POLICIES, sortByKeepPolicy } from '../lib/duplicate.js'
 import * as enc from '../lib/encoding.js'
+import * as exif from '../lib/exif.js'
 import * as mf from '../lib/file.js'
 import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
 import { getMediaInfo, getVideoInfo } from '../lib/mediainfo.js'
-import { addEntryProps, applyFileNameRules } from './cmd_shared.js'
+import { findSimilarImages, SIMILAR_KEEP_POLICIES, SIMILAR_THRESHOLD, sortBySimilarKeep } from '../lib/phash.js'
+import { ACTION_DELETE, ACTION_SAFE_REMOVE, createItem } from '../lib/plan.js'
+import { confirm } from '../lib/prompt.js'
+import { explain, formatQuery, parseNumber, parseQuery, queryFields } from '../lib/query.js'
+import * as result from '../lib/result.js'
+import { STATUS_ERROR, verifyFile } from '../lib/verify.js'
+import { findSimilarVideos, similarDistance } from '../lib/vhash.js'
+import { addEntryProps, applyFileNameRules, savePlan } from './cmd_shared.js'
 
 // a = all, f = files, d = directories
 const TYPE_LIST = ['a', 'f', 'd']
 
+// 条件表达式可用的字段，和 catalog query 相同，另外有
+// codec 视频或音频编码，age 修改时间距今的秒数，支持单位 age>90d
+const REMOVE_FIELDS = { ...CATALOG_FIELDS, codec: 'string', age: 'time' }
+// 需要读取EXIF的字段
+const EXIF_FIELDS = ['date', 'make', 'model', 'lens', 'width', 'height', 'lat', 'lon']
+// 需要读取媒体信息的字段
+const MEDIA_FIELDS = ['width', 'height', 'duration', 'vcodec', 'acodec', 'codec', 'bitrate']
+
 export { aliases, builder, command, describe, handler }
 
 const command = "remove [input] [directories...]"
 const aliases = ["rm", "rmf"]
-const describe = 'Remove files by given size/width-height/name-pattern/file-list'
+const describe = 'Remove files by given size/width-height/name-pattern/age/date/duration/file-list/duplicates/similar/expression'
 
 const builder = function addOptions(ya, helpOrVersionSet) {
     return ya.option("loose", {
@@ -131,6 +149,43 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             default: false,
             description: "Files name pattern not matched value will be removed",
         })
+        // 修改时间早于多久之前，单位 s m h d w y，m 是分钟
+        .option("older-than", {
+            type: "string",
+            description: "Files modified before this age will be removed, eg. 90d, 12h, 2w",
+        })
+        // 修改时间晚于多久之前
+        .option("newer-than", {
+            type: "string",
+            description: "Files modified within this age will be removed, eg. 30m, 2d",
+        })
+        // EXIF拍摄日期范围，包含两端，按前缀比较，没有拍摄日期的文件不删除
+        .option("date-from", {
+            type: "string",
+            description: "Files captured (EXIF date) on or after this date will be removed, eg. 2023-01-01, 2023-06",
+        })
+        .option("date-to", {
+            type: "string",
+            description: "Files captured (EXIF date) on or before this date will be removed, eg. 2023-12-31, 2023",
+        })
+        // 视频和音频时长，使用ffprobe或mediainfo读取
+        .option("shorter-than", {
+            type: "string",
+            description: "Video/audio files shorter than this duration will be removed, eg. 3s, 1.5m",
+        })
+        .option("longer-than", {
+            type: "string",
+            description: "Video/audio files longer than this duration will be removed, eg. 2h",
+        })
+        // 视频和音频码率，单位 bps，按1000进位
+        .option("bitrate-below", {
+            type: "string",
+            description: "Video/audio files with bitrate lower than this value will be removed, eg. 500K, 2M",
+        })
+        .option("bitrate-above", {
+            type: "string",
+            description: "Video/audio files with bitrate higher than this value will be removed, eg. 20M",
+        })
         .option("list", {
             type: "string",
             default: null,
@@ -167,6 +222,12 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             // 移除损坏的文件
             description: "delete corrupted files",
         })
+        // 深度检查损坏文件，完整解码图片视频音频，校验ZIP的CRC，速度较慢
+        .option("deep", {
+            type: "boolean",
+            default: false,
+            description: "deep check for --corrupted, fully decode files and check zip crc, slow",
+        })
         .option("badchars", {
             alias: "b",
             type: "boolean",
@@ -174,12 +235,69 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             // 移除文件名含乱码的文件
             description: "delete files with illegal or bad unicode chars",
         })
+        // 查找内容完全相同的重复文件，每组保留一个，忽略其它条件
+        .option("duplicates", {
+            alias: "dup",
+            type: "boolean",
+            default: false,
+            description: "remove duplicate files with same content, keep one file per group",
+        })
+        // 重复文件的保留策略
+        .option("keep", {
+            type: "string",
+            choices: KEEP_POLICIES,
+            default: "original",
+            description: "which file to keep in duplicates: name without (1)/_copy suffix, oldest, newest, shortest path, in preferred dir",
+        })
+        // 优先保留这些目录中的文件，用于 --keep preferred
+        .option("prefer-dir", {
+            type: "array",
+            description: "keep duplicate files in these dirs first, used by --keep preferred",
+        })
+        // 查找相似图片和视频，如不同分辨率或重新编码的副本，每组保留一个
+        .option("similar", {
+            alias: "sim",
+            type: "boolean",
+            default: false,
+            description: "remove similar images and videos by perceptual hash, keep one file per group",
+        })
+        // 相似阈值，感知哈希不同的位数，越小越严格
+        .option("threshold", {
+            type: "number",
+            default: SIMILAR_THRESHOLD,
+            description: "max hamming distance of perceptual hash (0-64) for similar images, per frame for videos",
+        })
+        // 相似文件的保留策略，bitrate 和 codec 只用于视频
+        .option("similar-keep", {
+            type: "string",
+            choices: SIMILAR_KEEP_POLICIES,
+            default: "resolution",
+            description: "which file to keep in similar group: highest resolution, largest file, highest bitrate or newest codec",
+        })
+        // 条件表达式，可以任意组合条件，忽略其它条件
+        // (width<1200 or height<800) and size<200K and not name~/cover/i and ext in [jpg,png]
+        .option("expr", {
+            alias: "x",
+            type: "string",
+            description: `remove files matched by expression, fields: ${Object.keys(REMOVE_FIELDS).join(',')}`,
+        })
+        // 显示每个文件匹配表达式的原因
+        .option("explain", {
+            type: "boolean",
+            default: false,
+            description: "show why each file matched the expression",
+        })
         .option("delete-permanently", {
             type: "boolean",
             default: false,
             // 直接删除文件，不使用安全删除
             description: "delete file permanently, not just move it",
         })
+        // 保存完整任务列表到计划文件，不执行，审核后使用 apply 命令执行
+        .option("plan", {
+            type: "string",
+            description: "save complete task list to plan file (json or csv) and exit, execute it later by apply command",
+        })
         // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
         .option("doit", {
             alias: "d",
@@ -201,7 +319,9 @@ async function cmdRemove(argv) {
     // 如果没有提供任何一个参数，报错，显示帮助
     if (argv.width == 0 && argv.height == 0 && argv.size == 0
         && !(argv.measure && reMeasure.test(argv.measure))
-        && !argv.pattern && !argv.list && !argv.corrupted && !argv.badchars) {
+        && !argv.pattern && !argv.list && !argv.corrupted && !argv.badchars && !argv.duplicates && !argv.similar
+        && !argv.expr && !argv.olderThan && !argv.newerThan && !argv.dateFrom && !argv.dateTo
+        && !argv.shorterThan && !argv.longerThan && !argv.bitrateBelow && !argv.bitrateAbove) {
         log.show(logTag, argv)
         log.error(logTag, `required remove condition args not supplied`)
         throw new Error("required remove condition args not supplied")
@@ -211,6 +331,20 @@ async function cmdRemove(argv) {
     if (!TYPE_LIST.includes(type)) {
         throw new Error(`Error: type must be one of ${TYPE_LIST}`)
     }
+    if (argv.duplicates && argv.keep === "preferred" && !(argv.preferDir?.length > 0)) {
+        throw new Error("Error: --keep preferred requires --prefer-dir")
+    }
+    // 先解析表达式，语法错误时不用等待遍历文件
+    const exprNode = argv.expr ? parseQuery(argv.expr, REMOVE_FIELDS) : null
+    // 时间和媒体条件，单位转换为秒和bps
+    const cOlderThan = parseRemoveNumber(argv.olderThan, 'time', 'older-than')
+    const cNewerThan = parseRemoveNumber(argv.newerThan, 'time', 'newer-than')
+    const cShorterThan = parseRemoveNumber(argv.shorterThan, 'time', 'shorter-than')
+    const cLongerThan = parseRemoveNumber(argv.longerThan, 'time', 'longer-than')
+    const cBitrateBelow = parseRemoveNumber(argv.bitrateBelow, 'bitrate', 'bitrate-below')
+    const cBitrateAbove = parseRemoveNumber(argv.bitrateAbove, 'bitrate', 'bitrate-above')
+    const cDateFrom = checkDateArg(argv.dateFrom, 'date-from')
+    const cDateTo = checkDateArg(argv.dateTo, 'date-to')
 
     let cWidth = 0
     let cHeight = 0
@@ -287,21 +421,38 @@ async function cmdRemove(argv) {
     // 路径排序，路径深度=>路径长度=>自然语言
     fileEntries = fileEntries.sort(comparePathSmartBy('path'))
     log.show(logTag, `total ${fileEntries.length} files found (${type})`)
+    // 拍摄日期条件需要批量读取EXIF，会给文件添加 tags 字段
+    if ((cDateFrom || cDateTo) && !cNames.size && !argv.duplicates && !argv.similar && !exprNode) {
+        await exif.readAllTags(fileEntries.filter(f => f.isFile && helper.isMediaFile(f.path)))
+    }
 
     const conditions = {
         total: fileEntries.length,
         loose: argv.loose,
         corrupted: argv.corrupted,
+        deep: argv.corrupted && argv.deep,
         badchars: argv.badchars,
         width: cWidth,
         height: cHeight,
         sizeLeft: argv.sizel || 0,
         sizeRight: argv.sizer || 0,
+        olderThan: cOlderThan,
+        newerThan: cNewerThan,
+        dateFrom: cDateFrom,
+        dateTo: cDateTo,
+        shorterThan: cShorterThan,
+        longerThan: cLongerThan,
+        bitrateBelow: cBitrateBelow,
+        bitrateAbove: cBitrateAbove,
         pattern: argv.pattern,
         notMatch: argv.notMatch,
         names: cNames || new Set(),
         reverse: argv.reverse || false,
         purge: argv.deletePermanently || false,
+        duplicates: argv.duplicates || false,
+        keep: argv.duplicates ? argv.keep : undefined,
+        similar: argv.similar || false,
+        expr: exprNode ? formatQuery(exprNode) : undefined,
         testMode,
     }
 
@@ -314,7 +465,19 @@ async function cmdRemove(argv) {
             conditions: conditions,
         }
     })
-    let tasks = await pMap(fileEntries, preRemoveArgs, { concurrency: cpus().length * 2 })
+    let tasks
+    if (argv.duplicates) {
+        // 重复文件是单独规则，忽略其它条件
+        tasks = await prepareDuplicates(fileEntries.filter(f => f.isFile), argv)
+    } else if (argv.similar) {
+        // 相似图片和视频也是单独规则
+        tasks = await prepareSimilar(fileEntries.filter(f => f.isFile), argv)
+    } else if (exprNode) {
+        // 条件表达式也是单独规则，忽略其它条件
+        tasks = await prepareExpression(fileEntries, exprNode, argv)
+    } else {
+        tasks = await pMap(fileEntries, preRemoveArgs, { concurrency: cpus().length * 2 })
+    }
 
     conditions.names = Array.from(cNames).slice(-5)
     const total = tasks.length
@@ -328,6 +491,7 @@ async function cmdRemove(argv) {
         log.showYellow(logTag, "Nothing to do, abort.")
         return
     }
+    result.set('total', tasks.length)
     log.showYellow(logTag, `${tasks.length} files to be removed (type=${type})`)
     // log.show(logTag, `Below are last sample tasks:`)
     // for (const task of tasks.slice(-20)) {
@@ -337,9 +501,15 @@ async function cmdRemove(argv) {
     if (cNames && cNames.size > 0) {
         // 默认仅删除列表中的文件，反转则仅保留列表中的文件，其它的全部删除，谨慎操作
         log.showYellow(logTag, `Attention: use file name list, ignore all other conditions`)
-        log.showRed(logTag, `Attention: Will DELETE all files ${cReverse ? "NOT IN" : "IN"} the name list!`)
+        log.showRed(logTag, `Attention: Will DELETE all files ${conditions.reverse ? "NOT IN" : "IN"} the name list!`)
     }
     log.fileLog(`Conditions: ${JSON.stringify(conditions)}`, logTag)
+    if (argv.plan) {
+        const action = conditions.purge ? ACTION_DELETE : ACTION_SAFE_REMOVE
+        const items = await pMap(tasks, t => createItem(action, t.src, null, t.desc), { concurrency: cpus().length * 2 })
+        await savePlan(argv.plan, 'remove', items)
+        return
+    }
     testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
     // 计算文件总共大小
     const totalSize = tasks.reduce((acc, file) => acc + file.size, 0)
@@ -353,18 +523,11 @@ async function cmdRemove(argv) {
     //     directoryStats[directory].size += file.size
     //     directoryStats[directory].fileCount++
     // })
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to remove ${tasks.length} files (Size:${helper.humanSize(totalSize)}) using above conditions (type=${type})?`
-            ),
-        },
-    ])
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to remove ${tasks.length} files (Size:${helper.humanSize(totalSize)}) using above conditions (type=${type})?`
+    ))
 
-    if (!answer.yes) {
+    if (!answer) {
         log.showYellow("Will do nothing, aborted by user.")
         return
     }
@@ -374,6 +537,7 @@ async function cmdRemove(argv) {
     let removedCount = 0
     let index = 0
     if (testMode) {
+        tasks.forEach(task => result.addPlanned({ path: task.src, size: task.size, reason: task.desc?.trim() }))
         log.showYellow(logTag, `${tasks.length} files, NO file removed in TEST MODE.`)
     } else {
         for (const task of tasks) {
@@ -382,16 +546,21 @@ async function cmdRemove(argv) {
                 // 此选项为永久删除
                 if (conditions.purge) {
                     await fs.remove(task.src)
+                    await journal.record(journal.OP_DELETE, task.src, null, { size: task.size })
                     log.show(logTag, `Deleted ${++index}/${tasks.length} ${helper.pathShort(task.src)} ${helper.humanSize(task.size)} ${flag}`)
                     log.fileLog(`Deleted: ${task.index} <${task.src}> ${helper.humanSize(task.size)} ${flag}`, logTag)
                 } else {
                     // 此选项安全删除，仅移动到指定目录
-                    await helper.safeRemove(task.src)
+                    if (!await helper.safeRemove(task.src)) {
+                        throw new Error('safe remove failed')
+                    }
                     log.show(logTag, `Moved ${++index}/${tasks.length} ${helper.pathShort(task.src)} ${helper.humanSize(task.size)} ${flag}`)
                     log.fileLog(`Moved: ${task.index} <${task.src}> ${helper.humanSize(task.size)} ${flag}`, logTag)
                 }
                 ++removedCount
+                result.addItem({ path: task.src, status: result.STATUS_OK, size: task.size, reason: task.desc?.trim() })
             } catch (error) {
+                result.addItem({ path: task.src, status: result.STATUS_FAILED, size: task.size, error: error.message })
                 log.error(logTag, `failed to remove file ${task.src} ${helper.humanSize(task.size)} ${flag}`, error)
             }
         }
@@ -401,6 +570,137 @@ async function cmdRemove(argv) {
     log.showGreen(logTag, `${removedCount} files removed in ${helper.humanTime(startMs)} (${type})`)
 }
 
+// 查找重复文件，每组按保留策略保留一个，其它的作为删除任务
+async function prepareDuplicates(files, argv) {
+    const logTag = "Duplicates"
+    const groups = await findDuplicates(files)
+    const preferDirs = (argv.preferDir || []).map(d => path.resolve(String(d)))
+    const tasks = []
+    let wastedSize = 0
+    for (const [i, group] of groups.entries()) {
+        const [keep, ...dups] = sortByKeepPolicy(group, argv.keep, { preferDirs })
+        wastedSize += keep.size * dups.length
+        // 只显示最后的一部分分组，完整列表在日志文件
+        const showGroup = i >= groups.length - 50
+        showGroup && log.show(logTag, chalk.gray(`Group ${i + 1}/${groups.length} ${helper.humanSize(keep.size)} x${group.length}`))
+        showGroup && log.show(logTag, chalk.green(`  Keep: ${keep.path}`))
+        log.fileLog(`Group: ${i + 1} Keep: <${keep.path}> ${helper.humanSize(keep.size)}`, logTag)
+        for (const f of dups) {
+            showGroup && log.show(logTag, chalk.yellow(`  Dup:  ${f.path}`))
+            log.fileLog(`Group: ${i + 1} Dup: <${f.path}>`, logTag)
+            tasks.push(buildRemoveArgs(tasks.length, `DUP=${keep.path}`, true, path.resolve(f.path), f.size))
+        }
+    }
+    if (groups.length > 50) {
+        log.show(logTag, chalk.gray(`... ${groups.length - 50} more groups, see log file for all`))
+    }
+    groups.length > 0 && log.showYellow(logTag, `${groups.length} duplicate groups, ${tasks.length} files (${helper.humanSize(wastedSize)}) can be removed (keep=${argv.keep})`)
+    return tasks
+}
+
+// 查找相似图片和视频，每组按保留策略保留一个，其它的作为删除任务
+async function prepareSimilar(files, argv) {
+    const logTag = "Similar"
+    const groups = [
+        ...await findSimilarImages(files, argv.threshold),
+        ...await findSimilarVideos(files, argv.threshold),
+    ]
+    const tasks = []
+    let wastedSize = 0
+    for (const [i, group] of groups.entries()) {
+        const [keep, ...others] = sortBySimilarKeep(group, argv.similarKeep)
+        const showGroup = i >= groups.length - 50
+        const desc = (f) => f.frames
+            ? `${f.width}x${f.height} ${helper.humanSeconds(f.duration)} ${f.vcodec} ${Math.round(f.bitrate / 1000)}K ${helper.humanSize(f.size)}`
+            : `${f.width}x${f.height} ${helper.humanSize(f.size)}`
+        showGroup && log.show(logTag, chalk.gray(`Group ${i + 1}/${groups.length} x${group.length}`))
+        showGroup && log.show(logTag, chalk.green(`  Keep:    ${keep.path} ${desc(keep)}`))
+        log.fileLog(`Group: ${i + 1} Keep: <${keep.path}> ${desc(keep)}`, logTag)
+        for (const f of others) {
+            const distance = similarDistance(keep, f)
+            // 相似关系可以传递，组内成员和保留文件的距离可能超过阈值，这些文件不删除
+            if (distance > argv.threshold) {
+                showGroup && log.show(logTag, chalk.gray(`  Far:     ${f.path} ${desc(f)} D=${distance}`))
+                log.fileLog(`Group: ${i + 1} Far: <${f.path}> ${desc(f)} D=${distance}`, logTag)
+                continue
+            }
+            wastedSize += f.size
+            showGroup && log.show(logTag, chalk.yellow(`  Similar: ${f.path} ${desc(f)} D=${distance}`))
+            log.fileLog(`Group: ${i + 1} Similar: <${f.path}> ${desc(f)} D=${distance}`, logTag)
+            tasks.push(buildRemoveArgs(tasks.length, `SIM=${keep.path} D=${distance}`, true, path.resolve(f.path), f.size))
+        }
+    }
+    if (groups.length > 50) {
+        log.show(logTag, chalk.gray(`... ${groups.length - 50} more groups, see log file for all`))
+    }
+    groups.length > 0 && log.showYellow(logTag, `${groups.length} similar groups, ${tasks.length} files (${helper.humanSize(wastedSize)}) can be removed (keep=${argv.similarKeep})`)
+    return tasks
+}
+
+// 按条件表达式筛选，只读取表达式用到的元数据
+async function prepareExpression(files, node, argv) {
+    const logTag = "Expression"
+    const fields = queryFields(node)
+    const options = {
+        hash: fields.has('hash'),
+        exif: EXIF_FIELDS.some(k => fields.has(k)),
+        mediaInfo: MEDIA_FIELDS.some(k => fields.has(k)),
+    }
+    log.show(logTag, `Expression: ${formatQuery(node)}`)
+    const startMs = Date.now()
+    // 目录只有文件名和时间等字段
+    const entries = new Map()
+    const fileList = files.filter(f => f.isFile)
+    if (fileList.length > 0) {
+        for (const e of await readEntries(fileList, options)) {
+            entries.set(e.path, e)
+        }
+    }
+    log.show(logTag, `${fileList.length} files read in ${helper.humanTime(startMs)}`)
+    const now = Date.now()
+    const tasks = []
+    for (const f of files) {
+        const entry = entries.get(f.path) || createEntry(f)
+        entry.codec = entry.vcodec || entry.acodec
+        entry.age = (now - f.stats.mtimeMs) / 1000
+        const { matched, text } = explain(node, entry)
+        if (!matched) {
+            continue
+        }
+        log.show(chalk.green("PreRemove"), chalk.yellow('ADD'), tasks.length + 1,
+            `${helper.pathShort(f.path, 48)} (${helper.humanSize(f.size)}) ${f.isDir ? "D" : "F"}`)
+        argv.explain && log.show(logTag, chalk.gray(`  ${text}`))
+        log.fileLog(`add: <${f.path}> ${text}`, logTag)
+        tasks.push(buildRemoveArgs(f.index, text, true, path.resolve(f.path), f.size))
+    }
+    log.showYellow(logTag, `${tasks.length}/${files.length} files matched expression`)
+    return tasks
+}
+
+// 带单位的数字参数，没有提供时返回 0
+function parseRemoveNumber(value, kind, name) {
+    if (!value) {
+        return 0
+    }
+    const n = parseNumber(value, kind)
+    if (!(n > 0)) {
+        throw new Error(`Invalid value '${value}' for --${name}`)
+    }
+    return n
+}
+
+// 日期参数，年月日可以省略后面的部分，按前缀比较
+function checkDateArg(value, name) {
+    if (!value) {
+        return undefined
+    }
+    const text = String(value).trim()
+    if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text) || !dayjs(text).isValid()) {
+        throw new Error(`Invalid date '${value}' for --${name}, expect YYYY, YYYY-MM or YYYY-MM-DD`)
+    }
+    return text
+}
+
 async function readNameList(list) {
     const listContent = await fs.readFile(list, 'utf-8') || ""
     const nameList = listContent.split(/\r?\n/).map(x => path.parse(x).name.trim()).filter(Boolean)
@@ -473,6 +773,12 @@ async function preRemoveArgs(f) {
     const hasName = cPattern?.length > 0
     const hasSize = c.sizeLeft > 0 || c.sizeRight > 0
     const hasMeasure = cWidth > 0 || cHeight > 0
+    // 修改时间
+    const hasAge = c.olderThan > 0 || c.newerThan > 0
+    // EXIF拍摄日期范围
+    const hasDate = !!(c.dateFrom || c.dateTo)
+    // 视频和音频的时长和码率
+    const hasMedia = c.shorterThan > 0 || c.longerThan > 0 || c.bitrateBelow > 0 || c.bitrateAbove > 0
 
     //log.show("prepareRM", `${cWidth}x${cHeight} ${cSize} /${cPattern}/`);
 
@@ -481,6 +787,9 @@ async function preRemoveArgs(f) {
     let testPattern = false
     let testSize = false
     let testMeasure = false
+    let testAge = false
+    let testDate = false
+    let testMedia = false
 
     const isImageExt = helper.isImageFile(fileSrc)
     const isVideoExt = helper.isVideoFile(fileSrc)
@@ -491,8 +800,19 @@ async function preRemoveArgs(f) {
     const itemCount = 1
 
     try {
+        // 深度检查文件是否损坏，无法检查的文件不删除
+        if (hasCorrupted && c.deep && f.isFile) {
+            const r = await verifyFile(fileSrc, { deep: true })
+            if (r.status === STATUS_ERROR) {
+                log.showGray("preRemove[Corrupted]:", `${ipx} ${fileSrc}`, r.category, r.message)
+                itemDesc += ` Corrupted:${r.category}`
+                testCorrupted = true
+            } else {
+                log.info("preRemove[Verify]:", `${ipx} ${fileSrc}`, r.status, r.message || '')
+            }
+        }
         // 检查文件是否损坏
-        if (hasCorrupted && f.isFile) {
+        else if (hasCorrupted && f.isFile) {
             // only check video/audio/image type files
             const isAudioExt = helper.isAudioFile(fileName)
             const isRawExt = helper.isRawFile(fileName)
@@ -637,6 +957,46 @@ async function preRemoveArgs(f) {
             }
         }
 
+        // 检查修改时间，目录也可以
+        if (!testCorrupted && hasAge) {
+            const age = (Date.now() - f.stats.mtimeMs) / 1000
+            itemDesc += ` A=${helper.humanSeconds(age)}`
+            testAge = (!c.olderThan || age > c.olderThan) && (!c.newerThan || age < c.newerThan)
+            testAge && log.info("preRemove[Age]:", `${ipx} ${fileName} ${dayjs(f.stats.mtime).format()}`)
+        }
+
+        // 检查拍摄日期，没有EXIF日期的文件不满足条件
+        if (!testCorrupted && hasDate && f.isFile) {
+            const date = exif.extractCaptureDate(f)
+            if (date) {
+                const dateStr = dayjs(date).format('YYYY-MM-DD')
+                itemDesc += ` D=${dateStr}`
+                // 按前缀比较，--date-to 2023 包含2023全年
+                testDate = (!c.dateFrom || dateStr.slice(0, c.dateFrom.length) >= c.dateFrom)
+                    && (!c.dateTo || dateStr.slice(0, c.dateTo.length) <= c.dateTo)
+            } else {
+                log.info("preRemove[Date]:", `${ipx} NoExifDate: ${fileName}`)
+            }
+        }
+
+        // 检查视频和音频的时长和码率，读取失败的文件不满足条件
+        if (!testCorrupted && hasMedia && f.isFile && (isVideoExt || helper.isAudioFile(fileName))) {
+            try {
+                const info = await getMediaInfo(fileSrc)
+                const duration = Number(info?.duration) || 0
+                const bitrate = Number(info?.bitrate) || 0
+                itemDesc += ` T=${helper.humanSeconds(duration)} B=${Math.round(bitrate / 1000)}K`
+                testMedia = duration > 0
+                    && (!c.shorterThan || duration < c.shorterThan)
+                    && (!c.longerThan || duration > c.longerThan)
+                    && (!c.bitrateBelow || (bitrate > 0 && bitrate < c.bitrateBelow))
+                    && (!c.bitrateAbove || bitrate > c.bitrateAbove)
+                testMedia && log.info("preRemove[Media]:", `${ipx} ${fileName} ${duration}s ${bitrate}bps`)
+            } catch (error) {
+                log.info("preRemove[Media]:", `${ipx} InvalidMedia: ${fileName} ${error.message}`)
+            }
+        }
+
 
         let shouldRemove = false
 
@@ -644,9 +1004,9 @@ async function preRemoveArgs(f) {
             shouldRemove = true
         } else {
             if (hasLoose) {
-                shouldRemove = testPattern || testSize || testMeasure
+                shouldRemove = testPattern || testSize || testMeasure || testAge || testDate || testMedia
             } else {
-                log.debug("PreRemove ", `${ipx} ${helper.pathShort(fileSrc)} hasName=${hasName}-${testPattern} hasSize=${hasSize}-${testSize} hasMeasure=${hasMeasure}-${testMeasure} testCorrupted=${testCorrupted},testBadChars=${testBadChars},flag=${flag}`)
+                log.debug("PreRemove ", `${ipx} ${helper.pathShort(fileSrc)} hasName=${hasName}-${testPattern} hasSize=${hasSize}-${testSize} hasMeasure=${hasMeasure}-${testMeasure} hasAge=${hasAge}-${testAge} hasDate=${hasDate}-${testDate} hasMedia=${hasMedia}-${testMedia} testCorrupted=${testCorrupted},testBadChars=${testBadChars},flag=${flag}`)
                 shouldRemove = checkConditions()
             }
         }
@@ -660,9 +1020,9 @@ async function preRemoveArgs(f) {
                 `${helper.pathShort(fileSrc, 48)} ${itemDesc} ${testCorrupted ? "Corrupted" : ""} (${helper.humanSize(itemSize)})`, ipx)
             log.fileLog(`add: ${ipx} <${fileSrc}> ${itemDesc} ${flag} (${helper.humanSize(itemSize)},${itemCount})`, "PreRemove")
         } else {
-            (testPattern || testSize || testMeasure) && log.info(
+            (testPattern || testSize || testMeasure || testAge || testDate || testMedia) && log.info(
                 "PreRemove ignore:",
-                `${ipx} ${helper.pathShort(fileSrc)} [${itemDesc}] (${testPattern} ${testSize} ${testMeasure}) ${flag}`)
+                `${ipx} ${helper.pathShort(fileSrc)} [${itemDesc}] (${testPattern} ${testSize} ${testMeasure} ${testAge} ${testDate} ${testMedia}) ${flag}`)
         }
 
         return buildRemoveArgs(f.index, itemDesc, shouldRemove, fileSrc, itemSize)
@@ -674,27 +1034,16 @@ async function preRemoveArgs(f) {
     }
 
     function checkConditions() {
-        // 当三个条件都为真时
-        if (hasName && hasSize && hasMeasure) {
-            return testPattern && testSize && testMeasure
-        }
-        // hasMeasure = false
-        else if (hasName && hasSize && !hasMeasure) {
-            return testPattern && testSize
-        }
-        // hasName = false
-        else if (!hasName && hasSize && hasMeasure) {
-            return testSize && testMeasure
-        }
-        // hasSize = false
-        else if (hasName && !hasSize && hasMeasure) {
-            return testPattern && testMeasure
-        }
-        // 其他情况下，三个hasXXX条件只有一个为真， 
-        // hasXXX为false时 testXXX一定为false
-        // 所以可以简化测试方法
-        else {
-            return testPattern || testSize || testMeasure
-        }
+        // 严格模式，提供的条件都为真时才删除
+        // hasXXX为false时 testXXX一定为false，没有提供任何条件时不删除
+        const checks = [
+            [hasName, testPattern],
+            [hasSize, testSize],
+            [hasMeasure, testMeasure],
+            [hasAge, testAge],
+            [hasDate, testDate],
+            [hasMedia, testMedia],
+        ].filter(([has]) => has)
+        return checks.length > 0 && checks.every(([, test]) => test)
     }
 }
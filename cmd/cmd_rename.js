@@ -8,7 +8,6 @@
 import chalk from 'chalk'
 import { sify } from 'chinese-conv'
 import fs from 'fs-extra'
-import inquirer from "inquirer"
 import { cpus } from "os"
 import pMap from 'p-map'
 import path from "path"
@@ -20,7 +19,11 @@ import * as mf from '../lib/file.js'
 import * as helper from '../lib/helper.js'
 import { getMediaInfo } from '../lib/mediainfo.js'
 import { mergePath } from '../lib/path-merge.js'
-import { applyFileNameRules, cleanFileName, renameFiles } from "./cmd_shared.js"
+import { ACTION_RENAME, createItem } from '../lib/plan.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { sidecarTargets } from '../lib/sidecar.js'
+import { addRenamePlanned, applyFileNameRules, cleanFileName, renameFiles, savePlan } from "./cmd_shared.js"
 
 const TYPE_LIST = ['a', 'f', 'd']
 const MODE_LIST = ['clean', 'zhcn', 'replace', 'fixenc', 'mergedir', 'suffix', 'prefix']
@@ -160,6 +163,11 @@ const builder = function addOptions(ya, helpOrVersionSet) {
             describe: "multi jobs running parallelly",
             type: "number",
         })
+        // 保存完整任务列表到计划文件，不执行，审核后使用 apply 命令执行
+        .option("plan", {
+            type: "string",
+            description: "save complete task list to plan file (json or csv) and exit, execute it later by apply command",
+        })
         // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
         .option("doit", {
             alias: "d",
@@ -236,20 +244,23 @@ async function cmdRename(argv) {
         log.showYellow(logTag, `Nothing to do, abort. (type=${type})`)
         return
     }
+    if (argv.plan) {
+        let items = []
+        for (const t of tasks) {
+            items = items.concat(await createRenamePlanItems(t, argv))
+        }
+        await savePlan(argv.plan, 'rename', items)
+        return
+    }
 
+    result.set('total', tasks.length)
     testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
-    const answer = await inquirer.prompt([
-        {
-            type: "confirm",
-            name: "yes",
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to rename these ${tasks.length} files (type=${type})? `
-            ),
-        },
-    ])
-    if (answer.yes) {
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to rename these ${tasks.length} files (type=${type})? `
+    ))
+    if (answer) {
         if (testMode) {
+            addRenamePlanned(tasks)
             log.showYellow(logTag, `${tasks.length} files, NO file renamed in TEST MODE. (type=${type})`)
         }
         else {
@@ -262,6 +273,30 @@ async function cmdRename(argv) {
 }
 
 
+// 计划条目，包括附加文件和伴随文件，和 renameFiles 的处理相同
+async function createRenamePlanItems(f, argv) {
+    const outPath = f.outPath || path.join(path.dirname(f.path), f.outName)
+    if (!f.outName || f.path === outPath) {
+        return []
+    }
+    const reason = ['fixenc', 'replace', 'clean', 'zhcn', 'prefixMedia', 'suffixMedia', 'suffixDate', 'videoDimension', 'mergeDirs']
+        .filter(k => argv[k]).join(',')
+    const items = [await createItem(ACTION_RENAME, f.path, outPath, reason)]
+    const srcParts = path.parse(f.path)
+    for (const ext of f.extraExts || []) {
+        const eSrc = path.join(srcParts.dir, srcParts.name + ext)
+        if (await fs.pathExists(eSrc)) {
+            items.push(await createItem(ACTION_RENAME, eSrc, path.join(path.dirname(outPath), f.outBase + ext), `extra of ${srcParts.base}`))
+        }
+    }
+    for (const [sSrc, sDst] of sidecarTargets(f, outPath)) {
+        if (sSrc !== sDst && await fs.pathExists(sSrc)) {
+            items.push(await createItem(ACTION_RENAME, sSrc, sDst, `sidecar of ${srcParts.base}`))
+        }
+    }
+    return items
+}
+
 const MEDIA_EXTRA_EXTS = ['.jpg', '.png', '.ass', '.srt', '.nfo', '.txt']
 let badCount = 0
 // 重复文件名Set，检测重复，防止覆盖
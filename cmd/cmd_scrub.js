@@ -0,0 +1,150 @@
+/*
+ * File: cmd_scrub.js
+ * Created: 2026-10-19 18:37:28 +0800
+ * Modified: 2026-10-19 18:37:28 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import * as log from '../lib/debug.js'
+import * as exif from '../lib/exif.js'
+import * as helper from '../lib/helper.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { checkGroups, findScrubTags, isScrubSupported, SCRUB_EXTENSIONS, SCRUB_GROUP_NAMES, scrubFile } from '../lib/scrub.js'
+import { addEntryProps, applyFileNameRules } from "./cmd_shared.js"
+
+const LOG_TAG = "Scrub"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "scrub <input> [options]"
+const aliases = ["sb"]
+const describe = 'Remove private metadata (GPS, serials, owner, maker notes, edit history) from photos and videos'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 需要删除的元数据分组，默认全部
+        .option("groups", {
+            alias: "g",
+            type: "array",
+            choices: SCRUB_GROUP_NAMES,
+            description: "metadata groups to remove, default all",
+        })
+        // 正则，包含文件名规则
+        .option("include", {
+            alias: "I",
+            type: "string",
+            description: "filename include pattern",
+        })
+        //字符串或正则，不包含文件名规则
+        .option("exclude", {
+            alias: "E",
+            type: "string",
+            description: "filename exclude pattern ",
+        })
+        // 默认启用正则模式，禁用则为字符串模式
+        .option("regex", {
+            alias: 're',
+            type: "boolean",
+            default: true,
+            description: "match filenames by regex pattern",
+        })
+        // 需要处理的扩展名列表
+        .option("extensions", {
+            alias: "e",
+            type: "string",
+            describe: "include files by extensions (eg. .jpg|.mp4)",
+        })
+        // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+        .option("doit", {
+            alias: "d",
+            type: "boolean",
+            default: false,
+            description: "execute os operations in real mode, not dry run",
+        })
+}
+
+const handler = cmdScrub
+
+async function cmdScrub(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    const root = await helper.validateInput(argv.input)
+    const groups = checkGroups(argv.groups)
+    if (!testMode) {
+        log.fileLog(`Root: ${root}`, LOG_TAG)
+        log.fileLog(`Argv: ${JSON.stringify(argv)}`, LOG_TAG)
+    }
+    log.show(LOG_TAG, `Input: ${root}`)
+    let files = await exif.listMedia(root)
+    files = await applyFileNameRules(files, argv)
+    files = files.filter(f => isScrubSupported(f.path))
+    log.show(LOG_TAG, `Total ${files.length} media files found (${SCRUB_EXTENSIONS.join(',')})`)
+    if (files.length === 0) {
+        log.showYellow(LOG_TAG, "No files found, exit now.")
+        return
+    }
+    // 先读取需要删除的标签，没有匹配标签的文件不处理
+    const startMs = Date.now()
+    const tasks = []
+    for (const f of files) {
+        try {
+            const found = await findScrubTags(f.path, groups)
+            if (Object.keys(found).length > 0) {
+                tasks.push({ ...f, found })
+            }
+        } catch (error) {
+            log.warn(LOG_TAG, `Failed to read: ${f.path}`, error.message)
+        }
+    }
+    log.show(LOG_TAG, `${tasks.length}/${files.length} files have tags in groups [${groups}] (${helper.humanTime(startMs)})`)
+    if (tasks.length === 0) {
+        await exif.endExifTool()
+        log.showYellow(LOG_TAG, "Nothing to do, exit now.")
+        return
+    }
+    result.set('total', tasks.length)
+    addEntryProps(tasks)
+    for (const t of tasks.slice(-20)) {
+        const summary = Object.entries(t.found).map(([g, names]) => `${g}(${names.length})`).join(' ')
+        log.show(LOG_TAG, helper.pathShort(t.path), chalk.yellow(summary))
+        log.info(LOG_TAG, t.path, t.found)
+    }
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to remove [${groups}] metadata from ${tasks.length} files?`
+    ))
+    if (!answer) {
+        await exif.endExifTool()
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        await exif.endExifTool()
+        tasks.forEach(t => result.addPlanned({ path: t.path, groups: Object.keys(t.found) }))
+        log.showYellow(LOG_TAG, `${tasks.length} files, NO file modified in TEST MODE.`)
+        return
+    }
+    const scrubStartMs = Date.now()
+    let okCount = 0
+    let tagCount = 0
+    for (const t of tasks) {
+        try {
+            const removed = await scrubFile(t.path, groups)
+            ++okCount
+            tagCount += removed.length
+            result.addItem({ path: t.path, status: result.STATUS_OK, tags: removed })
+            log.show(LOG_TAG, `${chalk.green('OK')} ${t.index + 1}/${t.total} ${helper.pathShort(t.path)}`,
+                chalk.yellow(`${removed.length} tags removed`))
+            log.fileLog(`OK: <${t.path}> ${removed}`, LOG_TAG)
+        } catch (error) {
+            log.error(LOG_TAG, `Failed: ${t.path}`, error.message)
+            result.addItem({ path: t.path, status: result.STATUS_FAILED, error: error.message })
+            log.fileLog(`Error: <${t.path}> ${error.message}`, LOG_TAG)
+        }
+    }
+    await exif.endExifTool()
+    log.showGreen(LOG_TAG, `${okCount}/${tasks.length} files scrubbed, ${tagCount} tags removed in ${helper.humanTime(scrubStartMs)}`)
+}
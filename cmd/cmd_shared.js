@@ -20,6 +20,11 @@ import which from "which"
 import { asyncFilter, copyFields } from '../lib/core.js'
 import * as log from '../lib/debug.js'
 import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
+import { writePlan } from '../lib/plan.js'
+import * as result from '../lib/result.js'
+import { sidecarTargets } from '../lib/sidecar.js'
+import { scrubFile } from '../lib/scrub.js'
 
 // https://day.js.org/docs/zh-CN/display/format
 const DATE_FORMAT = 'YYYY-MM-DD HH:mm:ss.SSS Z'
@@ -47,11 +52,13 @@ async function renameOneFile(f) {
         // 如果目标文件已存在，不能覆盖
         if (await fs.pathExists(outPath)) {
             log.showYellow(logTag, "SkipExists:", outPath, flag)
+            result.addItem({ path: f.path, dst: outPath, status: result.STATUS_SKIPPED, size: f.size, reason: 'dst exists' })
             return
         }
 
         // 使用 fs 模块的 rename 方法重命名文件，并等待操作完成  
         await fs.rename(f.path, outPath)
+        await journal.record(journal.OP_RENAME, f.path, outPath)
         // 打印重命名成功的日志信息，显示输出文件的路径  
         log.show(logTag, chalk.green(`OK:`), `${outPath} ${flag}`)
         log.fileLog(`SRC: <${f.path}>`, logTag)
@@ -63,15 +70,31 @@ async function renameOneFile(f) {
                 const eDst = path.join(outDir, f.outBase + ext)
                 if (await fs.pathExists(eSrc)) {
                     await fs.rename(eSrc, eDst)
+                    await journal.record(journal.OP_RENAME, eSrc, eDst)
                     log.show(logTag, chalk.yellow(`Extra:`), `${eDst}`)
                 }
             }
         }
+        // 伴随文件如XMP和RAW+JPEG配对的JPEG，使用主文件的新文件名
+        for (const [sSrc, sDst] of sidecarTargets(f, outPath)) {
+            if (sSrc === sDst || !await fs.pathExists(sSrc)) {
+                continue
+            }
+            if (await fs.pathExists(sDst)) {
+                log.showYellow(logTag, "SkipExists:", sDst, "[Sidecar]")
+                continue
+            }
+            await fs.rename(sSrc, sDst)
+            await journal.record(journal.OP_RENAME, sSrc, sDst)
+            log.show(logTag, chalk.yellow(`Sidecar:`), `${sDst}`)
+        }
+        result.addItem({ path: f.path, dst: outPath, status: result.STATUS_OK, size: f.size })
         return f
     } catch (error) {
         // 捕获并打印重命名过程中出现的错误信息，显示错误原因和输入文件的路径  
         log.error(logTag, `Error: <${f.path}> => <${outPath}}> ${error.message} ${flag}`)
         log.fileLog(`Error: <${f.path}> ${error.message}`, logTag)
+        result.addItem({ path: f.path, dst: outPath, status: result.STATUS_FAILED, size: f.size, error: error.message })
     }
 }
 
@@ -94,6 +117,14 @@ export async function renameFiles(files, parallel = false) {
     return results
 }
 
+// 测试模式下记录将要重命名的文件，目标路径和 renameOneFile 一致
+export function addRenamePlanned(files) {
+    for (const f of files) {
+        const outPath = f.outPath || path.join(path.dirname(f.path), f.outName)
+        result.addPlanned({ path: f.path, dst: outPath, size: f.size })
+    }
+}
+
 function fixEncoding(str = '') {
     return iconv.decode(Buffer.from(str, 'binary'), 'cp936')
 }
@@ -160,13 +191,11 @@ export async function compressImage(t) {
         if (!r) {
             // 初始化一个sharp对象，用于图像处理  
             // 尝试读取源图像文件  
-            const s = sharp(t.src)
             // 对图像进行重新调整尺寸，设置宽度为 t.width，保持原始宽高比  
-            // 同时应用质量为 t.quality（默认值为86）的JPEG压缩，并使用"4:4:4"的色度子采样  
-            r = await s
-                .resize({ width: t.width })
-                .withMetadata()
-                .withExifMerge({
+            const s = sharp(t.src).resize({ width: t.width }).withMetadata()
+            // 删除隐私元数据时不写入mediac标记，保留的原有元数据稍后由 scrubFile 删除指定分组
+            if (!(t.scrubGroups?.length > 0)) {
+                s.withExifMerge({
                     "ImageUniqueID": {},
                     "UserComment": {},
                     IFD0: {
@@ -180,18 +209,21 @@ export async function compressImage(t) {
                         XPAuthor: "mediac",
                     }
                 })
+            }
+            // 应用质量为 t.quality（默认值为86）的JPEG压缩，并使用"4:4:4"的色度子采样  
+            r = await s
                 .jpeg({ quality: t.quality || 86, chromaSubsampling: "4:4:4" })
                 // 将处理后的图像保存到目标文件  
                 .toFile(t.tmpDst)
             // 获取目标文件的文件信息 
         }
         // 临时文件状态
-        return await checkCompressResult(t, r)
+        return await scrubCompressResult(await checkCompressResult(t, r))
     } catch (error) {
         const errMsg = error.message.substring(0, 40)
         // 使用sharp压缩失败，再使用xconvert试试
         const cr = await compressExternal(t, true)
-        const r = await checkCompressResult(t, cr)
+        const r = await scrubCompressResult(await checkCompressResult(t, cr))
         if (r?.done) { return r }
         // 如果在处理过程中出现错误，则捕获并处理错误信息  
         log.warn(logTag, `${t.index}/${t.total} ${helper.pathShort(t.src)} ERR:${errMsg}`)
@@ -209,6 +241,27 @@ export async function compressImage(t) {
     }
 } // 结束函数定义
 
+// 压缩后删除隐私元数据，失败时删除输出文件，视为压缩失败
+async function scrubCompressResult(t) {
+    if (!t?.done || !t.scrubGroups?.length) {
+        return t
+    }
+    try {
+        const removed = await scrubFile(t.dst, t.scrubGroups)
+        removed.length > 0 && log.info("Compress", `Scrub: ${helper.pathShort(t.dst)} ${removed.length} tags removed`)
+        log.fileLog(`Scrub: <${t.dst}> ${removed}`, "Compress")
+    } catch (error) {
+        log.warn("Compress", `Scrub failed: ${t.dst}`, error.message)
+        log.fileLog(`Error: <${t.dst}> scrub failed ${error.message}`, "Compress")
+        // 不能保留带有隐私元数据的输出文件
+        await fs.remove(t.dst)
+        t.errorFlag = true
+        t.errorMessage = `scrub failed: ${error.message}`
+        t.done = false
+    }
+    return t
+}
+
 async function checkCompressResult(t, r) {
     const logTag = chalk.green("Compressed")
     try {
@@ -406,4 +459,24 @@ export function calculateScale(imgWidth, imgHeight, maxSide) {
     let dstWidth = Math.round(imgWidth * scaleFactor)
     let dstHeight = Math.round(imgHeight * scaleFactor)
     return { dstWidth, dstHeight }
-}
\ No newline at end of file
+}
+function csvField(value) {
+    if (value === undefined || value === null) {
+        return ''
+    }
+    const s = String(value)
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+// 生成CSV文本，keys 为列名，包含逗号引号换行的值加引号
+export function formatCsv(rows, keys) {
+    return [keys.join(','), ...rows.map(r => keys.map(k => csvField(r[k])).join(','))].join('\n')
+}
+
+// 保存 --plan 任务计划文件，不执行任何操作，审核后使用 apply 命令执行
+export async function savePlan(planFile, command, items) {
+    const filePath = await writePlan(planFile, command, items)
+    log.showGreen("Plan", `${items.length} ${command} tasks saved to ${filePath}`)
+    log.show("Plan", `Review or edit it, then execute by: mediac apply "${filePath}" --doit`)
+    return filePath
+}
@@ -0,0 +1,143 @@
+/*
+ * File: cmd_similar.js
+ * Created: 2026-10-19 18:43:58 +0800
+ * Modified: 2026-10-19 18:43:58 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as mf from '../lib/file.js'
+import * as helper from '../lib/helper.js'
+import { findSimilarImages, SIMILAR_KEEP_POLICIES, SIMILAR_THRESHOLD, sortBySimilarKeep } from '../lib/phash.js'
+import * as result from '../lib/result.js'
+import { findSimilarVideos, similarDistance } from '../lib/vhash.js'
+import { applyFileNameRules, formatCsv } from "./cmd_shared.js"
+
+const LOG_TAG = "Similar"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "similar <input> [options]"
+const aliases = ["sim"]
+const describe = 'Find similar images and videos by perceptual hash and show report, use remove --similar to delete'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 相似阈值，感知哈希不同的位数，越小越严格
+        .option("threshold", {
+            alias: "t",
+            type: "number",
+            default: SIMILAR_THRESHOLD,
+            description: "max hamming distance of perceptual hash (0-64) for similar images, per frame for videos",
+        })
+        // 每组中标记为保留的文件，bitrate 和 codec 只用于视频
+        .option("similar-keep", {
+            type: "string",
+            choices: SIMILAR_KEEP_POLICIES,
+            default: "resolution",
+            description: "which file is marked as keep: highest resolution, largest file, highest bitrate or newest codec",
+        })
+        // 报告保存为文件，按扩展名选择JSON或CSV格式
+        .option("output", {
+            alias: "o",
+            type: "string",
+            description: "save report to file, json or csv by file extension",
+        })
+        // 正则，包含文件名规则
+        .option("include", {
+            alias: "I",
+            type: "string",
+            description: "filename include pattern",
+        })
+        //字符串或正则，不包含文件名规则
+        .option("exclude", {
+            alias: "E",
+            type: "string",
+            description: "filename exclude pattern ",
+        })
+        // 默认启用正则模式，禁用则为字符串模式
+        .option("regex", {
+            alias: 're',
+            type: "boolean",
+            default: true,
+            description: "match filenames by regex pattern",
+        })
+        // 需要处理的扩展名列表
+        .option("extensions", {
+            alias: "e",
+            type: "string",
+            describe: "include files by extensions (eg. .jpg|.mp4)",
+        })
+}
+
+const handler = cmdSimilar
+
+async function cmdSimilar(argv) {
+    log.info(LOG_TAG, argv)
+    const root = await helper.validateInput(argv.input)
+    log.show(LOG_TAG, `Input: ${root}`)
+    let files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile && (helper.isImageFile(entry.name) || helper.isVideoFile(entry.name)),
+    })
+    files = await applyFileNameRules(files, argv)
+    log.show(LOG_TAG, `Total ${files.length} images and videos found`)
+    if (files.length === 0) {
+        log.showYellow(LOG_TAG, "No files found, exit now.")
+        return
+    }
+    const groups = [
+        ...await findSimilarImages(files, argv.threshold),
+        ...await findSimilarVideos(files, argv.threshold),
+    ]
+    // 报告每行一个文件，group 为组序号，keep 为保留标记
+    // removable 为 remove --similar 是否删除，和保留文件的距离超过阈值的不删除
+    const rows = []
+    for (const [i, group] of groups.entries()) {
+        const sorted = sortBySimilarKeep(group, argv.similarKeep)
+        log.show(LOG_TAG, chalk.gray(`Group ${i + 1}/${groups.length} x${group.length}`))
+        for (const [j, f] of sorted.entries()) {
+            const row = {
+                group: i + 1,
+                keep: j === 0,
+                path: f.path,
+                width: f.width,
+                height: f.height,
+                size: f.size,
+                duration: f.duration,
+                bitrate: f.bitrate,
+                vcodec: f.vcodec,
+                hash: f.hash,
+                // 视频为平均每帧的距离
+                distance: similarDistance(sorted[0], f),
+            }
+            row.removable = j > 0 && row.distance <= argv.threshold
+            rows.push(row)
+            const video = f.frames ? ` ${helper.humanSeconds(f.duration)} ${f.vcodec} ${Math.round(f.bitrate / 1000)}K` : ''
+            const label = j === 0 ? 'Keep:   ' : row.removable ? 'Similar:' : 'Far:    '
+            const text = `${label} ${helper.pathShort(f.path)} ${f.width}x${f.height}${video} ${helper.humanSize(f.size)} D=${row.distance}`
+            log.show(LOG_TAG, j === 0 ? chalk.green(text) : row.removable ? chalk.yellow(text) : chalk.gray(text))
+        }
+    }
+    const removable = rows.filter(r => r.removable)
+    const removableSize = removable.reduce((acc, r) => acc + r.size, 0)
+    log.showGreen(LOG_TAG, `${groups.length} similar groups, ${removable.length} files (${helper.humanSize(removableSize)}) can be removed by 'remove --similar'`)
+    result.set('total', files.length)
+    result.set('groups', groups.length)
+    result.set('removable', removable.length)
+    result.set('removableSize', removableSize)
+    rows.forEach(r => result.addItem({ ...r, status: result.STATUS_OK }))
+    if (argv.output) {
+        const output = path.resolve(argv.output)
+        const content = helper.pathExt(output) === '.csv'
+            ? formatCsv(rows, Object.keys(rows[0] || { group: 0 }))
+            : JSON.stringify(rows, null, 4)
+        await fs.outputFile(output, content + '\n')
+        log.showGreen(LOG_TAG, `Report saved to ${output}`)
+        result.set('reportFile', output)
+    }
+}
@@ -0,0 +1,239 @@
+/*
+ * File: cmd_takeout.js
+ * Created: 2026-10-19 18:30:25 +0800
+ * Modified: 2026-10-19 18:30:25 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import dayjs from "dayjs"
+import exiftool from "exiftool-vendored"
+import fs from 'fs-extra'
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as exif from '../lib/exif.js'
+import * as helper from '../lib/helper.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { findTakeoutJson, readTakeoutJson } from '../lib/takeout.js'
+import { addEntryProps, applyFileNameRules, renameFiles } from "./cmd_shared.js"
+
+const LOG_TAG = "Takeout"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "takeout <input> [options]"
+const aliases = ["gt"]
+const describe = 'Restore date and GPS from Google Takeout json files, then rename by date'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 写入JSON中的GPS位置
+        .option("gps", {
+            type: "boolean",
+            default: true,
+            description: "write GPS location in json to exif",
+        })
+        // 只处理没有拍摄日期的文件
+        .option("only-missing", {
+            type: "boolean",
+            default: false,
+            description: "only write date for files without DateTimeOriginal/CreationDate",
+        })
+        // 修改文件系统修改时间为拍摄日期
+        .option("sync-mtime", {
+            type: "boolean",
+            default: true,
+            description: "set file modified time to the date in json",
+        })
+        // 写入元数据后按日期重命名，同 dcimr 命令
+        .option("rename", {
+            type: "boolean",
+            default: true,
+            description: "rename files by date after metadata restored, same as dcimr",
+        })
+        .option("prefix", {
+            alias: "p",
+            type: "string",
+            default: "IMG_/DSC_/VID_",
+            description: "custom filename prefix for image/raw/video files, separated by '/'",
+        })
+        .option("suffix", {
+            alias: "s",
+            type: "string",
+            default: "",
+            description: "custom filename suffix",
+        })
+        .option("template", {
+            alias: "t",
+            type: "string",
+            default: "YYYYMMDD_HHmmss",
+            description: "filename template, see dcimr command",
+        })
+        // 正则，包含文件名规则
+        .option("include", {
+            alias: "I",
+            type: "string",
+            description: "filename include pattern",
+        })
+        //字符串或正则，不包含文件名规则
+        .option("exclude", {
+            alias: "E",
+            type: "string",
+            description: "filename exclude pattern ",
+        })
+        // 默认启用正则模式，禁用则为字符串模式
+        .option("regex", {
+            alias: 're',
+            type: "boolean",
+            default: true,
+            description: "match filenames by regex pattern",
+        })
+        // 需要处理的扩展名列表
+        .option("extensions", {
+            alias: "e",
+            type: "string",
+            describe: "include files by extensions (eg. .jpg|.mp4)",
+        })
+        // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+        .option("doit", {
+            alias: "d",
+            type: "boolean",
+            default: false,
+            description: "execute os operations in real mode, not dry run",
+        })
+}
+
+const handler = cmdTakeout
+
+async function cmdTakeout(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    const root = await helper.validateInput(argv.input)
+    if (!testMode) {
+        log.fileLog(`Root: ${root}`, LOG_TAG)
+        log.fileLog(`Argv: ${JSON.stringify(argv)}`, LOG_TAG)
+    }
+    log.show(LOG_TAG, `Input: ${root}`)
+    let files = await exif.listMedia(root)
+    files = await applyFileNameRules(files, argv)
+    log.show(LOG_TAG, `Total ${files.length} media files found`)
+    if (files.length === 0) {
+        log.showYellow(LOG_TAG, "No files found, exit now.")
+        return
+    }
+    // 媒体文件和JSON配对
+    const dirCache = new Map()
+    const tasks = []
+    const noJsonFiles = []
+    for (const f of files) {
+        const dir = path.dirname(f.path)
+        if (!dirCache.has(dir)) {
+            const names = await fs.readdir(dir)
+            dirCache.set(dir, new Map(names.filter(n => n.toLowerCase().endsWith('.json'))
+                .map(n => [n.toLowerCase(), n])))
+        }
+        const jsonPath = findTakeoutJson(f.path, dirCache.get(dir))
+        const meta = jsonPath && await readTakeoutJson(jsonPath)
+        if (!meta?.date) {
+            noJsonFiles.push(f)
+            log.info(LOG_TAG, `NoJson: ${helper.pathShort(f.path)}`)
+            continue
+        }
+        tasks.push({ ...f, jsonPath, meta, isVideo: helper.isVideoFile(f.path) })
+    }
+    log.show(LOG_TAG, `${tasks.length} files matched with json, ${noJsonFiles.length} files without json`)
+    for (const f of noJsonFiles.slice(-5)) {
+        log.showYellow(LOG_TAG, `NoJson: ${helper.pathShort(f.path)}`)
+    }
+    if (tasks.length === 0) {
+        log.showYellow(LOG_TAG, "Nothing to do, exit now.")
+        return
+    }
+    result.set('total', tasks.length)
+    addEntryProps(tasks)
+    for (const t of tasks.slice(-20)) {
+        const gps = t.meta.lat !== undefined ? `${t.meta.lat.toFixed(5)},${t.meta.lon.toFixed(5)}` : 'N/A'
+        log.show(LOG_TAG, helper.pathShort(t.path, 40), chalk.gray(path.basename(t.jsonPath)),
+            chalk.yellow(dayjs(t.meta.date).format()), chalk.cyan(gps))
+    }
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to restore metadata of ${tasks.length} files${argv.rename ? ' and rename them' : ''}?`
+    ))
+    if (!answer) {
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        tasks.forEach(t => result.addPlanned({ path: t.path, action: 'restore', json: t.jsonPath }))
+        log.showYellow(LOG_TAG, `${tasks.length} files, NO file modified in TEST MODE.`)
+        return
+    }
+    const startMs = Date.now()
+    // 一次读取所有文件的现有标签，逐个读取会重复启动 exiftool
+    argv.onlyMissing && await exif.readAllTags(tasks)
+    let okFiles = []
+    for (const t of tasks) {
+        if (await restoreOneFile(t, argv)) {
+            okFiles.push(t)
+        }
+    }
+    log.showGreen(LOG_TAG, `${okFiles.length}/${tasks.length} files restored in ${helper.humanTime(startMs)}`)
+    if (!argv.rename || okFiles.length === 0) {
+        await exif.endExifTool()
+        return
+    }
+    // 按恢复的日期重命名，JSON文件跟随媒体文件改名
+    let entries = await Promise.all(okFiles.map(async (t) => ({
+        ...t,
+        stats: await fs.stat(t.path),
+        sidecars: [{ path: t.jsonPath, suffix: path.extname(t.path) + '.json' }],
+    })))
+    entries = await exif.parseFiles(entries, { nameDate: false })
+    entries = exif.buildNames(entries, {
+        template: argv.template,
+        prefix: argv.prefix,
+        suffix: argv.suffix,
+    })
+    const [validFiles] = exif.checkFiles(entries)
+    // 重命名的结果也记录在 items 中，总数包含两个步骤
+    result.set('total', tasks.length + validFiles.length)
+    const results = await renameFiles(addEntryProps(validFiles), false)
+    log.showGreen(LOG_TAG, `${results.length}/${okFiles.length} files renamed by date.`)
+    result.set('renamed', results.length)
+}
+
+async function restoreOneFile(t, argv) {
+    try {
+        const tags = {}
+        let hasDate = false
+        if (argv.onlyMissing) {
+            hasDate = t.tags?.DateTimeOriginal instanceof exiftool.ExifDateTime
+                || t.tags?.CreationDate instanceof exiftool.ExifDateTime
+        }
+        const [dateTags, args] = exif.createDateTags(t.meta.date, t.isVideo)
+        if (!hasDate) {
+            Object.assign(tags, dateTags)
+        }
+        if (argv.gps && t.meta.lat !== undefined) {
+            Object.assign(tags, exif.createGpsTags(t.meta.lat, t.meta.lon, t.meta.alt, t.isVideo))
+        }
+        if (Object.keys(tags).length > 0) {
+            await exif.writeTags(t.path, tags, args)
+        }
+        if (argv.syncMtime) {
+            await fs.utimes(t.path, new Date(), t.meta.date)
+        }
+        log.show(LOG_TAG, `${chalk.green('OK')} ${t.index + 1}/${t.total} ${helper.pathShort(t.path)} ${dayjs(t.meta.date).format()}`)
+        log.fileLog(`OK: <${t.path}> <${t.jsonPath}> ${dayjs(t.meta.date).format()}`, LOG_TAG)
+        result.addItem({ path: t.path, action: 'restore', status: result.STATUS_OK, date: dayjs(t.meta.date).format(), json: t.jsonPath })
+        return true
+    } catch (error) {
+        log.error(LOG_TAG, `Failed: ${t.path}`, error.message)
+        result.addItem({ path: t.path, action: 'restore', status: result.STATUS_FAILED, error: error.message })
+        log.fileLog(`Error: <${t.path}> ${error.message}`, LOG_TAG)
+        return false
+    }
+}
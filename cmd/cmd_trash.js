@@ -0,0 +1,303 @@
+/*
+ * File: cmd_trash.js
+ * Created: 2026-10-19 18:52:53 +0800
+ * Modified: 2026-10-19 18:52:53 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import dayjs from "dayjs"
+import fs from 'fs-extra'
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+import { getTrashDir, listTrashDays, readTrashItems, removeManifestItems, TRASH_DIR_NAME } from '../lib/trash.js'
+
+const LOG_TAG = "Trash"
+
+// 恢复时原始位置已存在文件的处理方式
+// skip 跳过，rename 恢复为新文件名，overwrite 已存在的文件移到回收站后恢复
+const CONFLICT_MODES = ["skip", "rename", "overwrite"]
+
+export { aliases, builder, command, describe, handler }
+
+const command = "trash <action>"
+const aliases = ["tr"]
+const describe = `Manage safe deleted files in ${TRASH_DIR_NAME}: list, restore and purge`
+
+// 各子命令共用的选项
+const trashOptions = (ya) => ya
+    .positional('input', {
+        describe: `only files originally in this path, or the ${TRASH_DIR_NAME} dir for all files, default current dir`,
+        type: 'string',
+    })
+    // 回收站按日期分目录，可以选择某几天
+    .option("date", {
+        type: "array",
+        description: "only trash of these days, YYYYMMDD or prefix, eg. 20240315 202403",
+    })
+    // 原始路径匹配，正则
+    .option("origin", {
+        alias: "p",
+        type: "string",
+        description: "only files with original path matched this regex pattern",
+    })
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 按日期和原始目录显示回收站内容
+        .command("list [input]", "List trash contents by date, size and original location", (ya) => trashOptions(ya)
+            // 显示每个文件
+            .option("detail", {
+                alias: "l",
+                type: "boolean",
+                default: false,
+                description: "show every file in trash",
+            }), cmdList)
+        // 恢复到原始位置
+        .command("restore [input]", "Restore files in trash to original location", (ya) => trashOptions(ya)
+            .option("conflict", {
+                type: "string",
+                choices: CONFLICT_MODES,
+                default: "skip",
+                description: "when original path exists: skip, rename restored file, or move existing file to trash",
+            })
+            // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: false,
+                description: "execute os operations in real mode, not dry run",
+            }), cmdRestore)
+        // 永久删除旧的回收站目录
+        .command("purge [input]", "Permanently delete trash days older than given age", (ya) => trashOptions(ya)
+            .option("older-than", {
+                type: "string",
+                description: "purge trash days older than this age, eg. 30d, 2w",
+            })
+            .option("all", {
+                type: "boolean",
+                default: false,
+                description: "purge all trash days",
+            })
+            .option("doit", {
+                alias: "d",
+                type: "boolean",
+                default: false,
+                description: "execute os operations in real mode, not dry run",
+            }), cmdPurge)
+        .demandCommand(1, "Please specify trash action: list, restore or purge")
+}
+
+const handler = () => { }
+
+// 输入本身是回收站目录时直接使用
+function resolveTrashDir(input) {
+    const fpath = path.resolve(input || '.')
+    return path.basename(fpath) === TRASH_DIR_NAME ? fpath : getTrashDir(fpath)
+}
+
+// 输入为普通路径时只选择原始位置在该路径中的文件，回收站目录选择全部
+function isInInput(item, input) {
+    const fpath = path.resolve(input || '.')
+    if (path.basename(fpath) === TRASH_DIR_NAME) {
+        return true
+    }
+    const prefix = fpath.endsWith(path.sep) ? fpath : fpath + path.sep
+    return item.src === fpath || item.src.startsWith(prefix)
+}
+
+async function selectDays(argv) {
+    const trashDir = resolveTrashDir(argv.input)
+    log.show(LOG_TAG, `Trash: ${trashDir}`)
+    const dates = (argv.date || []).map(String)
+    return (await listTrashDays(trashDir)).filter(d => dates.length === 0 || dates.some(x => d.name.startsWith(x)))
+}
+
+async function selectItems(days, argv) {
+    const re = argv.origin && new RegExp(argv.origin, 'i')
+    let items = []
+    for (const day of days) {
+        items = items.concat(await readTrashItems(day))
+    }
+    return items.filter(item => isInInput(item, argv.input) && (!re || re.test(item.src)))
+}
+
+async function cmdList(argv) {
+    log.info(LOG_TAG, argv)
+    const days = await selectDays(argv)
+    const items = await selectItems(days, argv)
+    if (items.length === 0) {
+        log.showYellow(LOG_TAG, "Trash is empty.")
+        return
+    }
+    if (argv.detail) {
+        for (const item of items) {
+            log.show(`${item.day} ${helper.humanSize(item.size).padStart(10)} ${item.isDir ? 'D' : 'F'} ${item.src}${item.legacy ? chalk.gray(' (guessed)') : ''}`)
+        }
+    }
+    // 按日期汇总
+    log.show(LOG_TAG, chalk.bold('By date:'))
+    for (const day of days) {
+        const dayItems = items.filter(item => item.day === day.name)
+        dayItems.length > 0 && log.show(`  ${day.name}  ${String(dayItems.length).padStart(6)} files  ${helper.humanSize(sumSize(dayItems)).padStart(10)}  ${helper.pathShort(day.path)}`)
+    }
+    // 按原始目录汇总，显示最大的几个
+    const dirs = new Map()
+    for (const item of items) {
+        const dir = path.dirname(item.src)
+        dirs.set(dir, (dirs.get(dir) || []).concat(item))
+    }
+    const topDirs = [...dirs.entries()].sort((a, b) => sumSize(b[1]) - sumSize(a[1]))
+    log.show(LOG_TAG, chalk.bold(`By origin (top 20 of ${topDirs.length}):`))
+    for (const [dir, dirItems] of topDirs.slice(0, 20)) {
+        log.show(`  ${String(dirItems.length).padStart(6)} files  ${helper.humanSize(sumSize(dirItems)).padStart(10)}  ${dir}`)
+    }
+    log.showGreen(LOG_TAG, `Total ${items.length} files (${helper.humanSize(sumSize(items))}) in ${days.length} days`)
+}
+
+async function cmdRestore(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    const items = await selectItems(await selectDays(argv), argv)
+    if (items.length === 0) {
+        log.showYellow(LOG_TAG, "Nothing to restore, abort.")
+        return
+    }
+    const tasks = []
+    // 同一个原始路径可能在回收站中有多个版本
+    const planned = new Set()
+    for (const item of items) {
+        const exists = planned.has(item.src) || await fs.pathExists(item.src)
+        if (exists && argv.conflict === "skip") {
+            log.showYellow(LOG_TAG, `SkipExists: ${item.src}`)
+            continue
+        }
+        const target = exists && argv.conflict === "rename" ? await uniquePath(item.src, planned) : item.src
+        planned.add(target)
+        tasks.push({ ...item, exists, target })
+    }
+    for (const t of tasks.slice(-20)) {
+        log.show(LOG_TAG, `Restore: <${helper.pathShort(t.dst)}> => <${t.target}>${t.exists ? chalk.yellow(` (${argv.conflict})`) : ''}`)
+    }
+    result.set('total', items.length)
+    log.showGreen(LOG_TAG, `${tasks.length}/${items.length} files (${helper.humanSize(sumSize(tasks))}) are ready to restore.`)
+    if (tasks.length === 0) {
+        log.showYellow(LOG_TAG, "Nothing to do, abort.")
+        return
+    }
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(`Are you sure to restore these ${tasks.length} files?`))
+    if (!answer) {
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        tasks.forEach(t => result.addPlanned({ path: t.dst, dst: t.target, size: t.size }))
+        log.showYellow(LOG_TAG, `${tasks.length} files, NO file restored in TEST MODE.`)
+        return
+    }
+    const startMs = Date.now()
+    const restored = new Map()
+    for (const t of tasks) {
+        try {
+            if (await fs.pathExists(t.target)) {
+                // 原位置的文件也安全删除，可以再次恢复
+                if (argv.conflict !== "overwrite" || !await helper.safeRemove(t.target)) {
+                    result.addItem({ path: t.dst, dst: t.target, status: result.STATUS_SKIPPED, size: t.size, reason: 'dst exists' })
+                    log.showYellow(LOG_TAG, `SkipExists: ${t.target}`)
+                    continue
+                }
+            }
+            await fs.ensureDir(path.dirname(t.target))
+            await fs.move(t.dst, t.target)
+            await journal.record(journal.OP_MOVE, t.dst, t.target)
+            restored.set(t.day, (restored.get(t.day) || new Set()).add(t.dst))
+            result.addItem({ path: t.dst, dst: t.target, status: result.STATUS_OK, size: t.size })
+            log.info(LOG_TAG, `Restored: <${t.dst}> => <${t.target}>`)
+            log.fileLog(`Restored: <${t.dst}> => <${t.target}>`, LOG_TAG)
+        } catch (error) {
+            result.addItem({ path: t.dst, dst: t.target, status: result.STATUS_FAILED, size: t.size, error: error.message })
+            log.error(LOG_TAG, `Failed: <${t.dst}> => <${t.target}>`, error.message)
+        }
+    }
+    const trashDir = resolveTrashDir(argv.input)
+    for (const [day, dsts] of restored) {
+        await removeManifestItems(path.join(trashDir, day), dsts)
+    }
+    const count = [...restored.values()].reduce((acc, s) => acc + s.size, 0)
+    log.showGreen(LOG_TAG, `${count}/${tasks.length} files restored in ${helper.humanTime(startMs)}`)
+}
+
+async function cmdPurge(argv) {
+    log.info(LOG_TAG, argv)
+    const testMode = !argv.doit
+    if (!argv.all && !argv.olderThan) {
+        throw new Error("Please specify --older-than or --all for purge")
+    }
+    const age = argv.olderThan ? helper.parseDuration(argv.olderThan) : 0
+    // 按目录名的日期计算，当天结束前都算当天
+    const now = dayjs()
+    const days = (await selectDays(argv)).filter(d => argv.all || now.diff(d.date.endOf('day')) > age)
+    if (argv.origin) {
+        log.showYellow(LOG_TAG, "--origin is ignored, purge removes whole trash days")
+    }
+    if (days.length === 0) {
+        log.showYellow(LOG_TAG, "Nothing to purge, abort.")
+        return
+    }
+    let totalSize = 0
+    for (const day of days) {
+        const items = await readTrashItems(day)
+        day.count = items.length
+        day.size = sumSize(items)
+        totalSize += day.size
+        log.show(LOG_TAG, `Purge: ${day.name} ${day.count} files ${helper.humanSize(day.size)} ${helper.pathShort(day.path)}`)
+    }
+    result.set('total', days.length)
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(`Are you sure to PERMANENTLY delete ${days.length} trash days (${helper.humanSize(totalSize)})?`))
+    if (!answer) {
+        log.showYellow(LOG_TAG, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        days.forEach(day => result.addPlanned({ path: day.path, size: day.size, count: day.count }))
+        log.showYellow(LOG_TAG, `${days.length} trash days, NO file deleted in TEST MODE.`)
+        return
+    }
+    let purgedCount = 0
+    for (const day of days) {
+        try {
+            await fs.remove(day.path)
+            await journal.record(journal.OP_DELETE, day.path, null, { size: day.size, isDir: true })
+            ++purgedCount
+            result.addItem({ path: day.path, status: result.STATUS_OK, size: day.size, count: day.count })
+            log.show(LOG_TAG, `Purged: ${day.name} ${day.count} files ${helper.humanSize(day.size)}`)
+            log.fileLog(`Purged: <${day.path}> ${day.count} files ${helper.humanSize(day.size)}`, LOG_TAG)
+        } catch (error) {
+            result.addItem({ path: day.path, status: result.STATUS_FAILED, size: day.size, error: error.message })
+            log.error(LOG_TAG, `Failed to purge ${day.path}`, error.message)
+        }
+    }
+    log.showGreen(LOG_TAG, `${purgedCount}/${days.length} trash days purged`)
+}
+
+function sumSize(items) {
+    return items.reduce((acc, item) => acc + (item.isDir ? 0 : item.size || 0), 0)
+}
+
+// name.jpg => name (1).jpg，excludes 为已经计划使用的路径
+async function uniquePath(filepath, excludes = new Set()) {
+    const { dir, name, ext } = path.parse(filepath)
+    for (let i = 1; ; i++) {
+        const p = path.join(dir, `${name} (${i})${ext}`)
+        if (!excludes.has(p) && !await fs.pathExists(p)) {
+            return p
+        }
+    }
+}
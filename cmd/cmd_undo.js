@@ -0,0 +1,195 @@
+/*
+ * File: cmd_undo.js
+ * Created: 2026-10-19 18:18:37 +0800
+ * Modified: 2026-10-19 18:18:37 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import dayjs from "dayjs"
+import fs from 'fs-extra'
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
+
+export { aliases, builder, command, describe, handler }
+
+const command = "undo [journal]"
+const aliases = ["ud"]
+const describe = 'Undo rename/move/remove operations recorded in journal file'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        .positional('journal', {
+            describe: 'journal file path, or "latest" for the most recent one',
+            type: 'string',
+        })
+        // 列出最近的操作日志文件
+        .option("list", {
+            alias: "l",
+            type: "boolean",
+            default: false,
+            description: "list recent journal files",
+        })
+        // 忽略文件大小和修改时间检查，强制恢复
+        .option("force", {
+            alias: "f",
+            type: "boolean",
+            default: false,
+            description: "restore files even if size or mtime changed",
+        })
+        // 确认执行所有系统操作，非测试模式，如删除和重命名和移动操作
+        .option("doit", {
+            alias: "d",
+            type: "boolean",
+            default: false,
+            description: "execute os operations in real mode, not dry run",
+        })
+}
+
+const handler = cmdUndo
+
+async function cmdUndo(argv) {
+    const logTag = "cmdUndo"
+    log.info(logTag, argv)
+    const testMode = !argv.doit
+    if (argv.list || !argv.journal) {
+        const items = await journal.listJournals()
+        log.show(logTag, `Journal dir: ${journal.getJournalDir()}`)
+        for (const item of items.slice(0, 20)) {
+            log.show(logTag, `${dayjs(item.mtime).format("YYYY-MM-DD HH:mm:ss")} ${item.name} (${helper.humanSize(item.size)})`)
+        }
+        if (items.length === 0) {
+            log.showYellow(logTag, "No journal files found.")
+        }
+        return
+    }
+    const journalPath = await resolveJournalPath(argv.journal)
+    const [header, ops] = await journal.readJournal(journalPath)
+    log.show(logTag, `Journal: ${journalPath}`)
+    header && log.show(logTag, `Command: ${header.command} Root: ${header.root} At: ${header.createdAt}`)
+    if (ops.length === 0) {
+        log.showYellow(logTag, "No operations in journal, nothing to do.")
+        return
+    }
+    // 倒序撤销，保证多次移动的文件能回到最初位置
+    // 检查时模拟前面的撤销操作产生的路径状态，如 A->B B->C 和交换文件
+    const paths = new Map()
+    const tasks = []
+    for (const op of [...ops].reverse()) {
+        tasks.push(await checkUndoOp(op, paths, argv.force))
+    }
+    const okTasks = tasks.filter(t => !t.conflict)
+    const badTasks = tasks.filter(t => t.conflict)
+    for (const t of badTasks) {
+        log.showYellow(logTag, `Conflict[${t.conflict}]: ${t.op} <${t.src}> <= <${t.dst}>`)
+    }
+    for (const t of okTasks.slice(-20)) {
+        log.show(logTag, `Restore: <${helper.pathShort(t.dst)}> => <${helper.pathShort(t.src)}>`)
+    }
+    result.set('total', tasks.length)
+    // 结果中 path 是当前位置，dst 是恢复后的原始位置
+    const itemResult = (t, status, extra) => result.addItem({ path: t.dst, dst: t.src, op: t.op, status, ...extra })
+    badTasks.forEach(t => itemResult(t, result.STATUS_SKIPPED, { reason: t.conflict }))
+    log.showYellow(logTag, `${badTasks.length} operations have conflicts and will be skipped.`)
+    log.showGreen(logTag, `${okTasks.length} operations are ready to undo.`)
+    if (okTasks.length === 0) {
+        log.showYellow(logTag, "Nothing to do, abort.")
+        return
+    }
+    testMode && log.showYellow("++++++++++ TEST MODE (DRY RUN) ++++++++++")
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to undo these ${okTasks.length} operations?`
+    ))
+    if (!answer) {
+        log.showYellow(logTag, "Will do nothing, aborted by user.")
+        return
+    }
+    if (testMode) {
+        okTasks.forEach(t => itemResult(t, result.STATUS_PLANNED))
+        log.showYellow(logTag, `${okTasks.length} operations, NO file restored in TEST MODE.`)
+        return
+    }
+    let restoredCount = 0
+    for (const t of okTasks) {
+        try {
+            // 执行前再检查一次，防止前面的操作产生冲突
+            if (await fs.pathExists(t.src)) {
+                itemResult(t, result.STATUS_SKIPPED, { reason: 'src exists' })
+                log.showYellow(logTag, `SkipExists: ${t.src}`)
+                continue
+            }
+            await fs.ensureDir(path.dirname(t.src))
+            await fs.move(t.dst, t.src)
+            await journal.record(journal.OP_MOVE, t.dst, t.src)
+            ++restoredCount
+            itemResult(t, result.STATUS_OK)
+            log.info(logTag, `Restored: <${t.dst}> => <${t.src}>`)
+            log.fileLog(`Restored: <${t.dst}> => <${t.src}>`, logTag)
+        } catch (error) {
+            itemResult(t, result.STATUS_FAILED, { error: error.message })
+            log.error(logTag, `Failed: <${t.dst}> => <${t.src}>`, error.message)
+        }
+    }
+    log.showGreen(logTag, `${restoredCount}/${okTasks.length} operations were undone.`)
+}
+
+async function resolveJournalPath(input) {
+    if (input === 'latest' || input === 'last') {
+        const items = await journal.listJournals()
+        if (items.length === 0) {
+            throw new Error(`No journal files found in ${journal.getJournalDir()}`)
+        }
+        return items[0].path
+    }
+    // 支持只提供文件名，在日志目录查找
+    for (const p of [path.resolve(input), path.join(journal.getJournalDir(), input)]) {
+        if (await fs.pathExists(p)) {
+            return p
+        }
+    }
+    throw new Error(`Journal file not found: ${input}`)
+}
+
+// 路径的模拟状态，没有模拟过的使用实际文件状态，不存在返回 null
+async function statPath(paths, p) {
+    if (paths.has(p)) {
+        return paths.get(p)
+    }
+    return await fs.stat(p).catch(() => null)
+}
+
+// 检查单个操作能否撤销，返回冲突原因
+// paths 记录前面的撤销操作执行后的路径状态，值为 null 表示文件已被移走
+async function checkUndoOp(op, paths, force = false) {
+    const task = { ...op, conflict: null }
+    if (op.op === journal.OP_DELETE || !op.dst) {
+        // 永久删除的文件无法恢复
+        task.conflict = 'PERMANENT'
+        return task
+    }
+    const st = await statPath(paths, op.dst)
+    if (!st) {
+        task.conflict = 'DST_MISSING'
+        return task
+    }
+    if (await statPath(paths, op.src)) {
+        task.conflict = 'SRC_EXISTS'
+        return task
+    }
+    if (!force && !op.isDir) {
+        if ((op.size !== undefined && st.size !== op.size)
+            || (op.mtime !== undefined && Math.abs(st.mtimeMs - op.mtime) > 1000)) {
+            task.conflict = 'DST_CHANGED'
+            return task
+        }
+    }
+    // 移动不改变文件状态，撤销后文件回到 src
+    paths.set(op.dst, null)
+    paths.set(op.src, st)
+    return task
+}
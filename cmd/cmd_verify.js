@@ -0,0 +1,148 @@
+/*
+ * File: cmd_verify.js
+ * Created: 2026-10-19 18:50:46 +0800
+ * Modified: 2026-10-19 18:50:46 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import fs from 'fs-extra'
+import { cpus } from "os"
+import pMap from 'p-map'
+import path from "path"
+import * as log from '../lib/debug.js'
+import * as mf from '../lib/file.js'
+import * as helper from '../lib/helper.js'
+import * as result from '../lib/result.js'
+import { CATEGORIES, STATUS_ERROR, STATUS_OK, STATUS_SKIPPED, verifyFile } from '../lib/verify.js'
+import { applyFileNameRules, formatCsv } from "./cmd_shared.js"
+
+const LOG_TAG = "Verify"
+
+export { aliases, builder, command, describe, handler }
+
+const command = "verify <input> [options]"
+const aliases = ["vf"]
+const describe = 'Verify integrity of images, videos, audios and archives, show report of corrupted files'
+
+const builder = function addOptions(ya, helpOrVersionSet) {
+    return ya
+        // 完整解码文件，默认开启，关闭则只做快速检查
+        .option("deep", {
+            type: "boolean",
+            default: true,
+            description: "fully decode images/videos/audios and check zip crc, use --no-deep for quick header check",
+        })
+        // 报告中包含正常的文件
+        .option("all", {
+            alias: "a",
+            type: "boolean",
+            default: false,
+            description: "include good files in report, default only corrupted and skipped files",
+        })
+        // 报告保存为文件，按扩展名选择JSON或CSV格式
+        .option("output", {
+            alias: "o",
+            type: "string",
+            description: "save report to file, json or csv by file extension",
+        })
+        // 同时检查的文件数，视频解码本身是多线程的
+        .option("jobs", {
+            alias: "j",
+            type: "number",
+            default: Math.max(1, Math.floor(cpus().length / 2)),
+            description: "number of files checked at the same time",
+        })
+        // 正则，包含文件名规则
+        .option("include", {
+            alias: "I",
+            type: "string",
+            description: "filename include pattern",
+        })
+        //字符串或正则，不包含文件名规则
+        .option("exclude", {
+            alias: "E",
+            type: "string",
+            description: "filename exclude pattern ",
+        })
+        // 默认启用正则模式，禁用则为字符串模式
+        .option("regex", {
+            alias: 're',
+            type: "boolean",
+            default: true,
+            description: "match filenames by regex pattern",
+        })
+        // 需要处理的扩展名列表
+        .option("extensions", {
+            alias: "e",
+            type: "string",
+            describe: "include files by extensions (eg. .jpg|.mp4|.zip)",
+        })
+}
+
+const handler = cmdVerify
+
+async function cmdVerify(argv) {
+    log.info(LOG_TAG, argv)
+    const root = await helper.validateInput(argv.input)
+    log.show(LOG_TAG, `Input: ${root}`)
+    let files = await mf.walk(root, {
+        needStats: true,
+        entryFilter: (entry) => entry.isFile && (helper.isMediaFile(entry.name) || helper.isArchiveFile(entry.name)),
+    })
+    files = await applyFileNameRules(files, argv)
+    log.show(LOG_TAG, `Total ${files.length} files found (deep=${argv.deep})`)
+    if (files.length === 0) {
+        log.showYellow(LOG_TAG, "No files found, exit now.")
+        return
+    }
+    const startMs = Date.now()
+    let done = 0
+    const results = await pMap(files, async (f) => {
+        const r = await verifyFile(f.path, { deep: argv.deep })
+        const epx = `${++done}/${files.length}`
+        if (r.status === STATUS_ERROR) {
+            log.showRed(LOG_TAG, `${epx} ${r.category} ${helper.pathShort(f.path)} ${chalk.gray(r.message)}`)
+            log.fileLog(`Error: <${f.path}> ${r.category} ${r.message}`, LOG_TAG)
+        } else if (r.status === STATUS_SKIPPED) {
+            log.info(LOG_TAG, `${epx} skipped ${helper.pathShort(f.path)} ${r.message}`)
+        } else {
+            log.info(LOG_TAG, `${epx} ok ${helper.pathShort(f.path)}`)
+        }
+        done % 500 === 0 && log.show(LOG_TAG, `${done}/${files.length} files checked`)
+        return { ...r, size: f.size }
+    }, { concurrency: Math.max(1, argv.jobs || 1) })
+
+    // 使用 verify 自己的状态 ok error skipped
+    results.forEach(r => result.addItem({
+        path: r.path, status: r.status, size: r.size,
+        category: r.status === STATUS_OK ? undefined : r.category,
+        error: r.status === STATUS_ERROR ? r.message : undefined,
+    }))
+    const counts = {}
+    for (const r of results) {
+        const key = r.status === STATUS_OK ? STATUS_OK : `${r.status}:${r.category}`
+        counts[key] = (counts[key] || 0) + 1
+    }
+    log.show(LOG_TAG, chalk.bold(`Summary of ${results.length} files:`))
+    for (const [key, count] of Object.entries(counts).sort((a, b) => b[1] - a[1])) {
+        const [status, category] = key.split(':')
+        const text = `  ${key.padEnd(24)} ${String(count).padStart(6)}  ${category ? CATEGORIES[category] : ''}`
+        log.show(status === STATUS_ERROR ? chalk.red(text) : status === STATUS_SKIPPED ? chalk.yellow(text) : chalk.green(text))
+    }
+    const bad = results.filter(r => r.status === STATUS_ERROR)
+    const summary = `${bad.length} corrupted files found in ${results.length} files in ${helper.humanTime(startMs)}`
+    bad.length > 0 ? log.showRed(LOG_TAG, summary) : log.showGreen(LOG_TAG, summary)
+    bad.length > 0 && log.show(LOG_TAG, `Use 'remove --corrupted --deep' to remove corrupted files`)
+    if (argv.output) {
+        const rows = results.filter(r => argv.all || r.status !== STATUS_OK)
+        const output = path.resolve(argv.output)
+        const content = helper.pathExt(output) === '.csv'
+            ? formatCsv(rows, ['path', 'status', 'category', 'message', 'size'])
+            : JSON.stringify(rows, null, 4)
+        await fs.outputFile(output, content + '\n')
+        log.showGreen(LOG_TAG, `Report of ${rows.length} files saved to ${output}`)
+        result.set('reportFile', output)
+    }
+}
@@ -12,7 +12,6 @@ import chalk from 'chalk'
 import chardet from 'chardet'
 import fs from 'fs-extra'
 import iconv from 'iconv-lite'
-import inquirer from 'inquirer'
 import path from 'path'
 import { asyncMap, compareSmartBy, countAndSort } from '../lib/core.js'
 import * as log from '../lib/debug.js'
@@ -20,6 +19,8 @@ import * as mf from '../lib/file.js'
 import * as helper from '../lib/helper.js'
 
 import * as enc from '../lib/encoding.js'
+import { confirm } from '../lib/prompt.js'
+import * as result from '../lib/result.js'
 
 import * as unzipper from 'unzipper'
 
@@ -145,19 +146,13 @@ async function cmdZipUnicode(argv) {
     }
 
     files = files.slice(argv.start, argv.start + argv.count)
+    result.set('total', files.length)
 
     testMode && log.showYellow('++++++++++ TEST MODE (DRY RUN) ++++++++++')
-    const answer = await inquirer.prompt([
-        {
-            type: 'confirm',
-            name: 'yes',
-            default: false,
-            message: chalk.bold.red(
-                `Are you sure to unzip these ${files.length} files?`
-            )
-        }
-    ])
-    if (answer.yes) {
+    const answer = await confirm(chalk.bold.red(
+        `Are you sure to unzip these ${files.length} files?`
+    ))
+    if (answer) {
         log.showGreen(logTag, `Now unzipping ${files.length} files...}`)
         const startMs = Date.now()
         files.forEach(f => f.startMs = startMs)
@@ -165,9 +160,17 @@ async function cmdZipUnicode(argv) {
         const okResults = results.filter((r) => r && r.done)
         const skippedResults = results.filter((r) => r && r?.skipped)
         const failedResult = results.filter((r) => !r || !(r.skipped || r.done))
+        testMode && files.forEach(f => result.addPlanned({ path: f.path, size: f.size }))
         testMode && log.showYellow(logTag, 'NO file unzipped in TEST MODE.')
 
         if (!testMode) {
+            // 解压函数直接修改文件对象，失败时返回为空
+            files.forEach(f => result.addItem({
+                path: f.path, size: f.size,
+                status: f.done ? result.STATUS_OK : f.skipped ? result.STATUS_SKIPPED : result.STATUS_FAILED,
+                reason: f.skipped ? 'all entries exist' : undefined,
+                error: f.done || f.skipped ? undefined : f.error || 'unzip failed',
+            }))
             okResults?.length > 0 && log.showGreen(logTag, `There were ${okResults.length} files unzipped. (${helper.humanTime(startMs)})`)
             skippedResults?.length > 0 && log.show(logTag, `There were ${skippedResults.length} files skipped. (${helper.humanTime(startMs)})`)
             failedResult?.length > 0 && log.showYellow(logTag, `There were ${failedResult.length} files failed. (${helper.humanTime(startMs)})`)
@@ -177,17 +180,10 @@ async function cmdZipUnicode(argv) {
         const purgeResults = results.filter(r => r && (r.done || r.skipped))
         if (argv.purge && purgeResults?.length > 0) {
             // 是否要删除原ZIP文件，谨慎操作
-            const purgeConfirm = await inquirer.prompt([
-                {
-                    type: 'confirm',
-                    name: 'yes',
-                    default: false,
-                    message: chalk.bold.red(
-                        `Are you sure to DELETE ${okResults?.length + skippedResults.length}  zip files after unzipped?`
-                    )
-                }
-            ])
-            if (purgeConfirm.yes) {
+            const purgeConfirm = await confirm(chalk.bold.red(
+                `Are you sure to DELETE ${okResults?.length + skippedResults.length}  zip files after unzipped?`
+            ))
+            if (purgeConfirm) {
                 for (const pr of purgeResults) {
                     log.show(logTag, `Purge: SafeDel ${pr.path}`)
                     await helper.safeRemove(pr.path)
@@ -436,6 +432,7 @@ async function unzipFileUseUnzipper(f, useEncoding) {
     } catch (error) {
         f.skipped = false
         f.done = false
+        f.error = error.message
         log.showRed(logTag, error.message)
         log.fileLog(`Error ${error.message}`, logTag)
     }
@@ -16,7 +16,8 @@
 // 键值对的值，如果大于号小于号开头，解析为 {op:">",num:1234} 这种
 
 export default {
-    parseArgs
+    parseArgs,
+    parseArray,
 }
 
 
@@ -51,8 +52,7 @@ function parseArgs(inputString) {
             if (isQuoted) {
                 parsedValue = cleanValue.slice(1, -1)
             } else if (cleanValue.includes('[') && cleanValue.includes(']')) {
-                const arrayValues = cleanValue.slice(1, -1).split(/,|!|\/|\|/)
-                parsedValue = arrayValues.map(val => parseValue(val.trim()))
+                parsedValue = parseArray(cleanValue)
             } else if (cleanValue.startsWith('{') && cleanValue.endsWith('}')) {
                 // Parse as object
                 const objectStr = cleanValue.slice(1, -1)
@@ -70,6 +70,13 @@ function parseArgs(inputString) {
     return parsedObject
 }
 
+// 中括号包裹的数组 [1.5,2,hello]，元素用逗号或叹号或斜杠或竖杠分割
+// 也用于 query.js 的 in 比较符，如 ext in [jpg,png]
+function parseArray(value) {
+    const arrayValues = value.trim().slice(1, -1).split(/,|!|\/|\|/)
+    return arrayValues.map(val => parseValue(val.trim()))
+}
+
 const RE_NUMBER = /^-?\d+(\.\d+)?$/
 const RE_NUMBER_OP = /^[><]-?\d+(\.\d+)?$/
 
@@ -0,0 +1,186 @@
+/*
+ * File: catalog.js
+ * Created: 2026-10-19 18:41:18 +0800
+ * Modified: 2026-10-19 18:41:18 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import { writeFile } from 'atomically'
+import dayjs from "dayjs"
+import fs from 'fs-extra'
+import path from "path"
+import * as log from './debug.js'
+import * as exif from './exif.js'
+import * as helper from './helper.js'
+import { getMediaInfo } from './mediainfo.js'
+import { getDataDir } from './shared.js'
+
+// 媒体库索引，保存目录中每个媒体文件的元数据，用于快速查询
+// 文件格式 JSON Lines，第一行是header，后面每行一个文件
+// {"type":"header","root":"...","version":1,"updatedAt":"..."}
+// {"path":"...","name":"...","size":123,"mtimeMs":1712345678901,"hash":"...","date":"2023-01-05 10:00:00",...}
+// 增量更新，路径、大小和修改时间都没变的文件不重新读取
+
+const CATALOG_VERSION = 1
+const DATE_FORMAT = "YYYY-MM-DD HH:mm:ss"
+
+// 可以查询的字段和类型，类型见 query.js
+export const CATALOG_FIELDS = {
+    path: 'string',
+    dir: 'string',
+    name: 'string',
+    ext: 'ext',
+    type: 'string',
+    size: 'size',
+    mtime: 'date',
+    hash: 'string',
+    date: 'date',
+    make: 'string',
+    model: 'string',
+    lens: 'string',
+    width: 'number',
+    height: 'number',
+    duration: 'time',
+    vcodec: 'string',
+    acodec: 'string',
+    bitrate: 'bitrate',
+    lat: 'number',
+    lon: 'number',
+}
+
+export function getCatalogDir() {
+    return getDataDir('catalog')
+}
+
+// 默认索引文件，按目录名和路径哈希区分
+export function defaultCatalogPath(root) {
+    const fullPath = path.resolve(root)
+    return path.join(getCatalogDir(), `${path.basename(fullPath) || 'root'}_${helper.textHash(fullPath)}.jsonl`)
+}
+
+// 读取索引文件，返回 { header, entries: Map<path, entry> }，文件不存在时为空
+export async function loadCatalog(catalogPath) {
+    const entries = new Map()
+    let header = null
+    if (!await fs.pathExists(catalogPath)) {
+        return { header, entries }
+    }
+    const lines = (await fs.readFile(catalogPath, 'utf-8')).split(/\r?\n/)
+    for (const line of lines) {
+        if (!line.trim()) {
+            continue
+        }
+        try {
+            const item = JSON.parse(line)
+            if (item.type === 'header') {
+                header = item
+            } else if (item.path) {
+                entries.set(item.path, item)
+            }
+        } catch (error) {
+            log.warn('Catalog', `invalid line in ${catalogPath}`, error.message)
+        }
+    }
+    return { header, entries }
+}
+
+export async function saveCatalog(catalogPath, root, entries) {
+    const header = {
+        type: 'header',
+        root: path.resolve(root),
+        version: CATALOG_VERSION,
+        total: entries.length,
+        updatedAt: dayjs().format(),
+    }
+    const lines = [header, ...entries].map(e => JSON.stringify(e))
+    await fs.ensureDir(path.dirname(catalogPath))
+    await writeFile(catalogPath, lines.join('\n') + '\n', { encoding: 'utf-8' })
+    return header
+}
+
+// 文件是否需要重新读取
+export function isEntryStale(entry, f) {
+    return !entry || entry.size !== f.size || entry.mtimeMs !== Math.floor(f.stats.mtimeMs)
+}
+
+function fileType(filepath) {
+    if (helper.isRawFile(filepath)) {
+        return 'raw'
+    } else if (helper.isImageFile(filepath)) {
+        return 'image'
+    } else if (helper.isVideoFile(filepath)) {
+        return 'video'
+    } else if (helper.isAudioFile(filepath)) {
+        return 'audio'
+    }
+    return 'other'
+}
+
+function toNumber(value) {
+    const n = Number(value)
+    return Number.isFinite(n) && n !== 0 ? n : undefined
+}
+
+// 根据文件信息、EXIF标签和媒体信息生成索引条目，没有值的字段不保存
+export function createEntry(f, tags = {}, info = undefined, hash = undefined) {
+    const date = exif.selectDateTag(tags)?.[1]?.toDate?.() || info?.createdAt
+    const entry = {
+        path: f.path,
+        dir: path.dirname(f.path),
+        name: path.basename(f.path),
+        ext: helper.pathExt(f.path),
+        type: fileType(f.path),
+        size: f.size,
+        mtimeMs: Math.floor(f.stats.mtimeMs),
+        mtime: dayjs(f.stats.mtime).format(DATE_FORMAT),
+        hash,
+        date: date && dayjs(date).isValid() ? dayjs(date).format(DATE_FORMAT) : undefined,
+        make: tags.Make,
+        model: tags.Model,
+        lens: tags.LensModel || tags.LensID || tags.Lens,
+        width: toNumber(info?.video?.width || tags.ImageWidth),
+        height: toNumber(info?.video?.height || tags.ImageHeight),
+        duration: toNumber(info?.duration || (typeof tags.Duration === 'number' ? tags.Duration : undefined)),
+        vcodec: info?.video?.format,
+        acodec: info?.audio?.format,
+        bitrate: toNumber(info?.bitrate),
+        lat: Number.isFinite(tags.GPSLatitude) ? tags.GPSLatitude : undefined,
+        lon: Number.isFinite(tags.GPSLongitude) ? tags.GPSLongitude : undefined,
+    }
+    return Object.fromEntries(Object.entries(entry).filter(([k, v]) => v !== undefined && v !== null && v !== ''))
+}
+
+// 读取文件的元数据并生成索引条目
+// options.hash 计算SHA1，options.mediaInfo 视频和音频读取时长编码等信息
+// options.exif 为 false 时不读取EXIF，只有文件信息
+export async function readEntries(files, options = {}) {
+    const logTag = 'Catalog'
+    // readAllTags 会给每个文件加上 tags 字段
+    options.exif !== false && await exif.readAllTags(files)
+    let mediaInfoOk = options.mediaInfo !== false
+    const entries = []
+    for (const [i, f] of files.entries()) {
+        let info
+        if (mediaInfoOk && (helper.isVideoFile(f.path) || helper.isAudioFile(f.path))) {
+            try {
+                info = await getMediaInfo(f.path)
+            } catch (error) {
+                // ffprobe和mediainfo都不存在，后面的文件不再尝试
+                log.warn(logTag, `Media info not available: ${error.message}`)
+                mediaInfoOk = false
+            }
+        }
+        let hash
+        if (options.hash) {
+            try {
+                hash = await helper.fileHashSHA1(f.path)
+            } catch (error) {
+                log.warn(logTag, `Hash failed: ${f.path}`, error)
+            }
+        }
+        entries.push(createEntry(f, f.tags, info, hash))
+        log.info(logTag, `${i + 1}/${files.length} ${helper.pathShort(f.path)}`)
+    }
+    return entries
+}
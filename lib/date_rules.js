@@ -0,0 +1,156 @@
+/*
+ * File: date_rules.js
+ * Created: 2026-10-19 18:24:42 +0800
+ * Modified: 2026-10-19 18:24:42 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import exiftool from "exiftool-vendored"
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import * as log from './debug.js'
+import { getDataDir } from './shared.js'
+
+// 拍摄日期选择规则，代替以前写死在exif.js里的相机特殊处理
+// 每条规则包含匹配条件，日期标签优先级，默认时区
+// {
+//   "name": "dji-drone",
+//   "match": { "Make": "DJI", "ext": [".mp4", ".mov"] },
+//   "tags": ["CreateDate", "FileModifyDate"],
+//   "timezone": "UTC+8",
+//   "overrideZones": ["UTC", null]
+// }
+// match 的键是EXIF标签名，ext 表示文件扩展名
+// 值可以是字符串或数组，包含匹配，不区分大小写，/regex/ 格式为正则，* 表示标签存在
+// 所有条件都满足才算匹配，空的 match 匹配所有文件
+// tags 按顺序选择第一个存在的日期标签，都不存在时继续尝试后面的规则
+// timezone 只用于本规则选中的日期，其它规则选中的日期不替换时区
+// overrideZones 日期的时区在列表中时才替换为timezone，null 表示没有时区信息
+// 用户规则优先于内置规则，来源 <data>/date_rules.json 或 --date-rules 参数
+
+const LOG_TAG = 'DateRules'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+// 内置默认规则，最后一条是匹配所有文件的默认规则
+const defaultRulesFile = path.join(__dirname, 'date_rules.json')
+export const DEFAULT_DATE_RULES = await fs.readJson(defaultRulesFile)
+
+export function getUserRulesFile() {
+    return getDataDir('date_rules.json')
+}
+
+let userRules = await loadUserRules()
+
+async function loadUserRules() {
+    const filePath = getUserRulesFile()
+    if (!await fs.pathExists(filePath)) {
+        return []
+    }
+    try {
+        return await loadRulesFile(filePath)
+    } catch (error) {
+        log.warn(LOG_TAG, `ignore invalid rules file: ${filePath}`, error.message)
+        return []
+    }
+}
+
+// 读取并检查规则文件，内容是规则数组
+export async function loadRulesFile(filePath) {
+    const rules = await fs.readJson(filePath)
+    if (!Array.isArray(rules)) {
+        throw new Error(`Date rules must be an array: ${filePath}`)
+    }
+    for (const [i, r] of rules.entries()) {
+        if (!r || typeof r !== 'object') {
+            throw new Error(`Invalid date rule at ${i}: ${filePath}`)
+        }
+        if (r.tags && !Array.isArray(r.tags)) {
+            throw new Error(`Date rule tags must be an array: ${r.name || i}`)
+        }
+    }
+    log.info(LOG_TAG, `${rules.length} rules loaded from ${filePath}`)
+    return rules.map((r, i) => ({ ...r, name: r.name || `${path.basename(filePath)}#${i + 1}` }))
+}
+
+// 设置用户规则，命令行参数指定的规则文件
+export function setUserRules(rules = []) {
+    userRules = rules
+}
+
+// 生效的全部规则，用户规则在前
+export function getDateRules() {
+    return [...userRules, ...DEFAULT_DATE_RULES]
+}
+
+function matchValue(value, pattern) {
+    if (value === undefined || value === null) {
+        return false
+    }
+    if (pattern === '*') {
+        return true
+    }
+    const text = `${value}`
+    const m = /^\/(.+)\/([a-z]*)$/.exec(pattern)
+    if (m) {
+        return new RegExp(m[1], m[2] || 'i').test(text)
+    }
+    return text.toLowerCase().includes(`${pattern}`.toLowerCase())
+}
+
+function fileExt(tags) {
+    const name = tags.FileName || tags.SourceFile || ''
+    return path.extname(name).toLowerCase()
+}
+
+export function matchRule(rule, tags) {
+    for (const [key, expected] of Object.entries(rule.match || {})) {
+        const patterns = [expected].flat()
+        if (key === 'ext') {
+            const ext = fileExt(tags)
+            if (!patterns.some(p => ext === `${p}`.toLowerCase())) {
+                return false
+            }
+        } else if (!patterns.some(p => matchValue(tags[key], p))) {
+            return false
+        }
+    }
+    return true
+}
+
+// 时区替换，例如 Nikon P950 没有时区信息，exiftool 按UTC处理
+function applyTimezone(dt, rule) {
+    if (!rule?.timezone) {
+        return dt
+    }
+    const zones = rule.overrideZones || [null]
+    if (!zones.includes(dt.zone ?? null)) {
+        return dt
+    }
+    const m = /^UTC([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(rule.timezone)
+    if (!m) {
+        log.warn(LOG_TAG, `invalid timezone: ${rule.timezone} (${rule.name})`)
+        return dt
+    }
+    const offset = (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] || 0))
+    dt.zone = rule.timezone
+    dt.zoneName = rule.timezone
+    dt.tzoffsetMinutes = offset
+    return dt
+}
+
+// 按规则选择拍摄日期标签，返回 [tagName, ExifDateTime, ruleName]
+export function selectDateByRules(tags, rules = getDateRules()) {
+    const matched = rules.filter(r => matchRule(r, tags))
+    for (const rule of matched) {
+        for (const k of rule.tags || []) {
+            if (tags[k] instanceof exiftool.ExifDateTime) {
+                const dt = applyTimezone(tags[k], rule)
+                log.debug(LOG_TAG, rule.name, k, tags.SourceFile)
+                return [k, dt, rule.name]
+            }
+        }
+    }
+}
@@ -19,6 +19,7 @@ import util from 'util'
 setupLogger()
 
 let loggerName = ""
+let jsonMode = false
 const nowDateStr = dayjs().format("YYYYMMDDHHmmss")
 
 const levelColors = {
@@ -58,7 +59,8 @@ function applyCustomPlugin(logger, options = {}) {
             : arguments[i]
         messages.push(options.coloredMessage ? chalkFunc(arg) : arg)
       }
-      rawMethod(...messages)
+      // JSON模式下日志都写到标准错误，不改变全局console
+      jsonMode ? console.error(...messages) : rawMethod(...messages)
     }
   }
   // Be sure to call setLevel method in order to apply plugin
@@ -115,40 +117,43 @@ export const flushFileLog = async () => {
   }
 }
 
+// JSON模式下标准输出只保留最终的结果对象，其它输出都转到标准错误
+const print = (...args) => jsonMode ? console.error(...args) : console.log(...args)
+
 export const showGray = (...args) => {
-  console.log(...args.map((a) => (typeof a === "object" ? a : chalk.gray(a))))
+  print(...args.map((a) => (typeof a === "object" ? a : chalk.gray(a))))
 }
 
 export const showRed = (...args) => {
-  console.log(...args.map((a) => (typeof a === "object" ? a : chalk.red(a))))
+  print(...args.map((a) => (typeof a === "object" ? a : chalk.red(a))))
 }
 
 export const showGreen = (...args) => {
-  console.log(...args.map((a) => (typeof a === "object" ? a : chalk.green(a))))
+  print(...args.map((a) => (typeof a === "object" ? a : chalk.green(a))))
 }
 
 export const showYellow = (...args) => {
-  console.log(
+  print(
     ...args.map((a) => (typeof a === "object" ? a : chalk.yellow(a)))
   )
 }
 
 export const showBlue = (...args) => {
-  console.log(...args.map((a) => (typeof a === "object" ? a : chalk.blue(a))))
+  print(...args.map((a) => (typeof a === "object" ? a : chalk.blue(a))))
 }
 
 export const showMagenta = (...args) => {
-  console.log(
+  print(
     ...args.map((a) => (typeof a === "object" ? a : chalk.magenta(a)))
   )
 }
 
 export const showCyan = (...args) => {
-  console.log(...args.map((a) => (typeof a === "object" ? a : chalk.cyan(a))))
+  print(...args.map((a) => (typeof a === "object" ? a : chalk.cyan(a))))
 }
 
 export const showWhite = (...args) => {
-  console.log(...args.map((a) => (typeof a === "object" ? a : chalk.white(a))))
+  print(...args.map((a) => (typeof a === "object" ? a : chalk.white(a))))
 }
 
 export const show = showWhite
@@ -173,6 +178,14 @@ export const error = function () {
   log.error(...arguments)
 }
 
+// JSON输出模式，标准输出只保留最终的结果对象
+// 命令的数据需要写入 result，不能直接输出到标准输出
+export const setJsonMode = (enabled) => {
+  jsonMode = enabled || false
+}
+
+export const isJsonMode = () => jsonMode
+
 export const setVerbose = (level) =>
   log.setLevel(Math.max(0, log.levels.WARN - level))
 
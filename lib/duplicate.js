@@ -0,0 +1,137 @@
+/*
+ * File: duplicate.js
+ * Created: 2026-10-19 18:42:29 +0800
+ * Modified: 2026-10-19 18:42:29 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import fs from 'fs-extra'
+import { xxHash32 } from 'js-xxhash'
+import { cpus } from "os"
+import pMap from 'p-map'
+import path from "path"
+import * as log from './debug.js'
+import * as helper from './helper.js'
+
+// 查找内容完全相同的重复文件
+// 1. 按文件大小分组，大小唯一的文件不可能重复
+// 2. 同样大小的文件，读取开头和结尾的数据计算快速哈希
+// 3. 快速哈希相同的文件，计算完整SHA1
+// 大部分不同的文件在前两步就被排除，不需要读取整个文件
+
+// 快速哈希读取的字节数，开头和结尾各读取这么多
+const PARTIAL_SIZE = 64 * 1024
+
+// 保留策略，每组重复文件保留一个，其它的删除
+export const KEEP_POLICIES = ["original", "oldest", "newest", "shortest", "preferred"]
+
+// 文件名带有副本后缀，如 IMG_1234(1).jpg IMG_1234 (2).jpg IMG_1234_copy.jpg IMG_1234 - 副本.jpg
+const RE_COPY_SUFFIX = /(\s*\(\d+\)|[\s_-]+(copy|副本|拷贝)(\s*\(?\d+\)?)?)$/i
+
+export function isCopyName(filepath) {
+    return RE_COPY_SUFFIX.test(path.parse(filepath).name)
+}
+
+async function partialHash(filepath, size) {
+    const fd = await fs.open(filepath, 'r')
+    try {
+        const length = Math.min(size, PARTIAL_SIZE)
+        const head = Buffer.alloc(length)
+        await fs.read(fd, head, 0, length, 0)
+        if (size <= PARTIAL_SIZE) {
+            return xxHash32(head, 0).toString(16)
+        }
+        const tail = Buffer.alloc(length)
+        await fs.read(fd, tail, 0, length, size - length)
+        return xxHash32(Buffer.concat([head, tail]), 0).toString(16)
+    } finally {
+        await fs.close(fd)
+    }
+}
+
+// 按 keyFunc 分组，只返回多于一个文件的组
+async function groupBy(files, keyFunc) {
+    const groups = new Map()
+    const keys = await pMap(files, async (f) => {
+        try {
+            return await keyFunc(f)
+        } catch (error) {
+            log.warn('Duplicate', `read failed: ${f.path}`, error.message || error)
+        }
+    }, { concurrency: cpus().length })
+    files.forEach((f, i) => {
+        const key = keys[i]
+        if (key === undefined) {
+            return
+        }
+        if (!groups.has(key)) {
+            groups.set(key, [])
+        }
+        groups.get(key).push(f)
+    })
+    return [...groups.values()].filter(g => g.length > 1)
+}
+
+// 查找重复文件，files 为 mf.walk 返回的文件列表，需要 size 字段
+// 返回重复文件组 [[f1, f2], [f3, f4, f5]]，每个文件添加 hash 字段
+export async function findDuplicates(files) {
+    const logTag = 'Duplicate'
+    const startMs = Date.now()
+    // 同一个文件可能被多次传入，空文件不处理
+    const unique = [...new Map(files.filter(f => f.size > 0).map(f => [path.resolve(f.path), f])).values()]
+    const sizeGroups = await groupBy(unique, f => f.size)
+    const sizeFiles = sizeGroups.flat()
+    log.show(logTag, `${sizeFiles.length} files in ${sizeGroups.length} groups have same size`)
+    const partialGroups = (await Promise.all(sizeGroups.map(g => groupBy(g, f => partialHash(f.path, f.size))))).flat()
+    const partialFiles = partialGroups.flat()
+    log.show(logTag, `${partialFiles.length} files in ${partialGroups.length} groups have same partial hash`)
+    const fullGroups = []
+    for (const g of partialGroups) {
+        // 快速哈希只有32位，小文件也可能冲突，都要用完整SHA1确认
+        const groups = await groupBy(g, async (f) => {
+            f.hash = await helper.fileHashSHA1(f.path)
+            return f.hash
+        })
+        fullGroups.push(...groups)
+    }
+    log.show(logTag, `${fullGroups.flat().length} files in ${fullGroups.length} groups are duplicates (${helper.humanTime(startMs)})`)
+    return fullGroups
+}
+
+function isInDir(filepath, dir) {
+    const rel = path.relative(path.resolve(dir), path.resolve(filepath))
+    return rel && !rel.startsWith('..') && !path.isAbsolute(rel)
+}
+
+function mtimeOf(f) {
+    return f.stats?.mtimeMs ?? new Date(f.mtime).getTime()
+}
+
+// 按策略对一组重复文件排序，第一个保留
+// 主策略相同时依次按 不带副本后缀 路径短 时间早 比较，保证结果稳定
+// options.preferDirs 为 preferred 策略的优先目录，按顺序优先
+export function sortByKeepPolicy(group, policy = "original", options = {}) {
+    const preferDirs = options.preferDirs || []
+    const preferIndex = (f) => {
+        const i = preferDirs.findIndex(d => isInDir(f.path, d))
+        return i >= 0 ? i : preferDirs.length
+    }
+    const comparators = {
+        original: (a, b) => isCopyName(a.path) - isCopyName(b.path),
+        oldest: (a, b) => mtimeOf(a) - mtimeOf(b),
+        newest: (a, b) => mtimeOf(b) - mtimeOf(a),
+        shortest: (a, b) => a.path.length - b.path.length,
+        preferred: (a, b) => preferIndex(a) - preferIndex(b),
+    }
+    const order = [policy, "original", "shortest", "oldest"].map(p => comparators[p])
+    return [...group].sort((a, b) => {
+        for (const cmp of order) {
+            const c = cmp(a, b)
+            if (c !== 0) {
+                return c
+            }
+        }
+        return a.path.localeCompare(b.path)
+    })
+}
@@ -10,20 +10,98 @@
 import chalk from "chalk"
 import * as cliProgress from "cli-progress"
 import dayjs from "dayjs"
+import utc from "dayjs/plugin/utc.js"
 import exiftool from "exiftool-vendored"
 import os, { cpus } from "os"
 import pMap from 'p-map'
 import path from "path"
+import { selectDateByRules } from './date_rules.js'
 import * as log from './debug.js'
 import * as mf from './file.js'
+import { reverseGeocode } from './geocode.js'
 import * as helper from './helper.js'
+import * as cache from './meta_cache.js'
+import { extractDateFromName } from './name_date.js'
+import { renderNameTemplate } from './name_template.js'
 
-const et = new exiftool.ExifTool({
-  taskTimeoutMillis: 5000,
-  maxTasksPerProcess: 500,
-  minDelayBetweenSpawnMillis: 0,
-  maxProcs: os.cpus().length * 4,
-})
+dayjs.extend(utc)
+
+let et = null
+
+// exiftool实例，结束后再次使用时重新创建
+function exifTool() {
+  if (!et || et.ended) {
+    et = new exiftool.ExifTool({
+      taskTimeoutMillis: 5000,
+      maxTasksPerProcess: 500,
+      minDelayBetweenSpawnMillis: 0,
+      maxProcs: os.cpus().length * 4,
+    })
+  }
+  return et
+}
+
+async function endExifTool() {
+  if (et && !et.ended) {
+    await et.end()
+  }
+}
+
+// 读取原始标签，不解析日期，args 为exiftool参数，如 -G0:1 输出分组名
+async function readRawTags(filename, args = []) {
+  return await exifTool().readRaw(filename, args)
+}
+
+// 写入EXIF标签，默认覆盖原文件，不保留 _original 备份
+async function writeTags(filename, tags, args = ["-overwrite_original"]) {
+  return await exifTool().write(filename, tags, args)
+}
+
+const EXIF_DATE_FORMAT = "YYYY:MM:DD HH:mm:ss"
+
+// 生成需要写入的日期标签和exiftool参数
+// 图片写入 DateTimeOriginal CreateDate OffsetTimeOriginal
+// 视频写入 QuickTime CreateDate 和 CreationDate，CreateDate 按UTC保存
+// offsetMinutes 为原日期的时区偏移，保持拍摄地的时间，没有时使用本机时区
+function createDateTags(date, isVideo = false, offsetMinutes = undefined) {
+  const dt = Number.isFinite(offsetMinutes) ? dayjs(date).utcOffset(offsetMinutes) : dayjs(date)
+  const dateStr = dt.format(EXIF_DATE_FORMAT)
+  const offsetStr = dt.format("Z")
+  if (isVideo) {
+    return [{
+      CreateDate: `${dateStr}${offsetStr}`,
+      MediaCreateDate: `${dateStr}${offsetStr}`,
+      TrackCreateDate: `${dateStr}${offsetStr}`,
+      "QuickTime:CreationDate": `${dateStr}${offsetStr}`,
+    }, ["-overwrite_original", "-api", "QuickTimeUTC"]]
+  }
+  return [{
+    DateTimeOriginal: dateStr,
+    CreateDate: dateStr,
+    OffsetTimeOriginal: offsetStr,
+  }, ["-overwrite_original"]]
+}
+
+// 生成GPS标签，经纬度为十进制度数，南纬西经为负数
+// 视频使用 QuickTime GPSCoordinates
+function createGpsTags(lat, lon, alt, isVideo = false) {
+  if (isVideo) {
+    return {
+      GPSCoordinates: [lat, lon, alt].filter(x => typeof x === "number").join(", "),
+    }
+  }
+  const tags = {
+    GPSLatitude: Math.abs(lat),
+    GPSLatitudeRef: lat >= 0 ? "N" : "S",
+    GPSLongitude: Math.abs(lon),
+    GPSLongitudeRef: lon >= 0 ? "E" : "W",
+  }
+  if (typeof alt === "number") {
+    tags.GPSAltitude = Math.abs(alt)
+    tags.GPSAltitudeRef = alt >= 0 ? "Above Sea Level" : "Below Sea Level"
+  }
+  return tags
+}
 
 async function listMedia(root) {
   const files = await mf.walk(root, {
@@ -36,18 +114,23 @@ async function listMedia(root) {
   return files
 }
 
+// exiftool读取结果，优先使用磁盘缓存
+async function readTagsCached(filename) {
+  return await cache.cached("exif", filename, (fp) => exifTool().read(fp), exiftool.parseJSON)
+}
+
 async function readSingleExif(filename) {
   try {
-    return await et.read(filename)
+    return await readTagsCached(filename)
   } catch (error) {
     log.error(error)
   } finally {
-    await et.end()
+    await endExifTool()
   }
 }
 
 async function showExifDate(filename) {
-  log.show(readTags(filename) || `No exif tags found for ${filename}`)
+  log.show(await readSingleExif(filename) || `No exif tags found for ${filename}`)
 }
 
 async function readAllTags(files) {
@@ -64,14 +147,14 @@ async function readAllTags(files) {
     const filename = f.path
     log.isVerbose() || bar1.increment()
     try {
-      const tags = await et.read(filename)
+      const tags = await readTagsCached(filename)
       // show exiftool error message
       if (tags.Error) {
         log.warn(`EXIF: err ${helper.pathShort(filename)} ${Error}`)
       }
       log.info(
         chalk.green(`EXIF(${i}/${t}):`),
-        helper.pathShort(filename), tags?.Model || tags?.Software || tags.Make, selectDateTag(tags)[1]?.rawValue)
+        helper.pathShort(filename), tags?.Model || tags?.Software || tags.Make, selectDateTag(tags)?.[1]?.rawValue)
       f.tags = tags
     } catch (error) {
       log.warn(`EXIF: catch ${helper.pathShort(filename)} ${error}`)
@@ -81,7 +164,7 @@ async function readAllTags(files) {
 
   files = await pMap(files, readExifOne, { concurrency: cpus().length * 4 })
   bar1.stop()
-  await et.end()
+  await endExifTool()
   log.show(
     `EXIF: ${files.length} files processed in ${helper.humanTime(
       startMs
@@ -90,41 +173,6 @@ async function readAllTags(files) {
   return files.filter((f) => f.tags)
 }
 
-function fixAppleTag(tags) {
-  // iphone video must use CreationDate, not CreateDate
-  //  CreationDate rawValue: '2021:06:21 10:22:47+08:00',
-  // CreateDate rawValue: '2021:06:21 02:22:47',
-  if (
-    tags.MediaCreateDate &&
-    tags.CreationDate instanceof exiftool.ExifDateTime &&
-    tags.MajorBrand &&
-    tags.MajorBrand.toLowerCase().includes("apple")
-  ) {
-    log.debug("fixAppleTag:", tags.SourceFile)
-    return ["CreationDate", tags.CreationDate]
-  }
-}
-
-function fix360Camera(tags) {
-  // fix for video created by 360 camera
-  if (tags.CompressorName === 'JVT/AVC/ZX Coding') {
-    return ["FileModifyDate", tags.FileModifyDate]
-  }
-}
-
-function fixScreenShot(tags) {
-  return (
-    helper.pathExt(tags.FileName, true) == "png" && [
-      "FileModifyDate",
-      tags.FileModifyDate,
-    ]
-  )
-}
-
-function hackAndFix(tags) {
-  return fixAppleTag(tags) || fixScreenShot(tags) || fix360Camera(tags)
-}
-
 function getDateTags(tags) {
   return Object.entries(tags).filter((entry) => {
     const [k, v] = entry
@@ -132,112 +180,211 @@ function getDateTags(tags) {
   })
 }
 
+// 日期标签优先级和相机特殊处理见 date_rules.json
+// 可以在 <data>/date_rules.json 或 --date-rules 添加自定义规则
 function selectDateTag(tags) {
-  // !!key order is important!!
-  const keys = [
-    "SubSecCreateDate",
-    "SubSecDateTimeOriginal",
-    "DateTimeOriginal",
-    "CreationDate",
-    "CreateDate",
-    "ModifyDate",
-    "MediaCreateDate",
-    "MediaModifyDate",
-    "TrackCreateDate",
-    "FileModifyDate",
-  ]
   log.debug('selectDateTag', tags.SourceFile)
-  for (const k of keys) {
-    if (tags[k] instanceof exiftool.ExifDateTime) {
-      const dt = tags[k]
-      // fix nikon p950 no timezone info bug
-      if (dt.zone === 'UTC') {
-        dt.zone = "UTC+8"
-        dt.zoneName = "UTC+8"
-        dt.tzoffsetMinutes = 480 // 60*8 minutes
-      }
-      log.debug("selectDateTag", k, dt)
-      return [k, dt]
+  return selectDateByRules(tags)
+}
+
+function extractExifDate(file) {
+  return file?.tags && selectDateTag(file.tags)
+}
+
+// 这些日期标签来自文件系统，复制或同步后不可靠
+const FILE_SYSTEM_DATE_TAGS = ["FileModifyDate", "FileAccessDate", "FileInodeChangeDate", "FileCreateDate"]
+
+// EXIF中的拍摄日期，不包括文件系统时间，没有时返回 undefined
+function extractCaptureDate(file) {
+  const exifDate = extractExifDate(file)
+  if (exifDate && !FILE_SYSTEM_DATE_TAGS.includes(exifDate[0])) {
+    return exifDate[1].toDate()
+  }
+}
+
+// 日期来源，EXIF标签 > 文件名 > 文件修改时间
+// 返回 [date, source, rawDate]
+// source 示例 exif:DateTimeOriginal filename:datetime mtime
+function selectFileDate(f, options) {
+  const exifDate = extractExifDate(f)
+  if (exifDate && !FILE_SYSTEM_DATE_TAGS.includes(exifDate[0])) {
+    return [exifDate[1].toDate(), `exif:${exifDate[0]}`, exifDate]
+  }
+  if (options.nameDate !== false) {
+    const nd = extractDateFromName(f.path, options.namePatterns)
+    if (nd) {
+      return [nd.date, `filename:${nd.pattern}`]
     }
   }
+  // 文件系统时间优先使用stats，与exiftool读取的时区无关
+  const mtime = f.stats?.mtime || f.mtime || exifDate?.[1].toDate()
+  return mtime ? [mtime, "mtime", exifDate] : []
 }
 
-function extractExifDate(file) {
-  return (
-    file?.tags && (hackAndFix(file.tags) || selectDateTag(file.tags))
-  )
+// 统计日期来源，输出日志
+function showDateSources(files) {
+  const counts = {}
+  for (const f of files) {
+    const key = f.dateSource?.split(":")[0] || "unknown"
+    counts[key] = (counts[key] || 0) + 1
+  }
+  log.show(`parseFiles date sources:`, counts)
 }
 
+// options = {fastMode, nameDate, namePatterns}
+// namePatterns 为文件名日期规则，见 name_date.js
 async function parseFiles(files, options) {
   log.info(`parseFiles`, options)
   options = options || {}
+  options.namePatterns = options.namePatterns || []
   // fast mode, skip exif parse
   if (options.fastMode) {
-    return files.map((f) => {
-      const date = f.stats.mtime
-      log.debug(`parseFiles`, ` ${f.path} ${date}`)
+    files = files.map((f) => {
+      const [date, dateSource] = selectFileDate(f, options)
+      log.debug(`parseFiles`, ` ${f.path} ${date} ${dateSource}`)
       return (
         date && {
           path: f.path,
           root: f.root,
           size: f.stats.size,
-          date: f.stats.mtime,
+          date,
+          dateSource,
+          sidecars: f.sidecars,
         }
       )
-    })
+    }).filter(Boolean)
+    showDateSources(files)
+    return files
   }
   // extract date from exif data
   let startMs = Date.now()
   files = await readAllTags(files)
   files = await Promise.all(
     files.map(async (f) => {
-      const date = extractExifDate(f)
-      log.debug(`parseFiles`, ` ${f.path} ${date}`)
+      const [date, dateSource, rawDate] = selectFileDate(f, options)
+      log.info(`parseFiles`, `${helper.pathShort(f.path)} ${dayjs(date).format()} (${dateSource})`)
       return (
         date && {
           path: f.path,
           root: f.root,
           size: f.size,
-          date: date[1].toDate(),
-          rawDate: date,
+          date,
+          dateSource,
+          rawDate,
+          sidecars: f.sidecars,
           model: f.tags && (f.tags.Model || f.tags.Make || f.tags.Software),
+          make: f.tags?.Make,
+          lens: f.tags && (f.tags.LensModel || f.tags.LensID || f.tags.Lens),
+          // GPS位置，exiftool 返回带符号的十进制度数
+          lat: f.tags?.GPSLatitude,
+          lon: f.tags?.GPSLongitude,
+          alt: f.tags?.GPSAltitude,
           // rawExif: exif,
         }
       )
     })
   )
+  files = files.filter(Boolean)
   log.info(`parseFiles ${files.length} in ${helper.humanTime(startMs)}`)
-  return files.filter(Boolean)
+  showDateSources(files)
+  return files
+}
+
+// 默认文件名模板和前缀
+const NAME_TEMPLATE_DEFAULT = "YYYYMMDD_HHmmss"
+const NAME_PREFIX_DEFAULT = "IMG_/DSC_/VID_"
+
+// 解析前缀参数，斜杠分隔，顺序为 图片/RAW/视频
+// 只提供一个时，所有类型使用同一个前缀
+function parsePrefixes(prefixStr) {
+  const parts = (prefixStr ?? NAME_PREFIX_DEFAULT).split("/")
+  if (parts.length === 1) {
+    return { image: parts[0], raw: parts[0], video: parts[0], other: parts[0] }
+  }
+  return {
+    image: parts[0] || "",
+    raw: parts[1] || "",
+    video: parts[2] || "",
+    other: parts[3] ?? "UNF_",
+  }
+}
+
+// 文件类型名称，用于模板字段 {type}
+function fileTypeName(filepath) {
+  if (helper.isImageFile(filepath)) {
+    return "image"
+  } else if (helper.isRawFile(filepath)) {
+    return "raw"
+  } else if (helper.isVideoFile(filepath)) {
+    return "video"
+  } else {
+    return "other"
+  }
+}
+
+function selectPrefix(filepath, prefixes) {
+  if (helper.isImageFile(filepath)) {
+    return prefixes.image
+  } else if (helper.isRawFile(filepath)) {
+    return prefixes.raw
+  } else if (helper.isVideoFile(filepath)) {
+    return prefixes.video
+  } else {
+    return prefixes.other
+  }
+}
+
+// 模板可用的元数据字段
+// 有GPS位置时，离线查找最近的城市，提供 {country} {city} {place}
+function buildNameFields(file) {
+  const ext = helper.pathExt(file.path)
+  const geo = reverseGeocode(file.lat, file.lon)
+  return {
+    model: file.model,
+    make: file.make,
+    lens: file.lens,
+    orig: path.basename(file.path, path.extname(file.path)),
+    seq: file.seq ? String(file.seq).padStart(4, "0") : "",
+    ext: ext.slice(1),
+    type: fileTypeName(file.path),
+    country: geo?.country,
+    city: geo?.city,
+    place: geo?.place,
+  }
 }
 
 // new name by exif date time
 // eg. DSC_20210119_111546.ARW
 // eg. IMG_20210121_174456.JPG
-function createNameByDate(file) {
+// 支持模板 eg. {YYYYMMDD_HHmmss}_{model} => IMG_20210121_174456_ILCE-7M4.JPG
+function createNameByDate(file, options = {}) {
   // create file name by exif date
-  let prefix
-  if (helper.isImageFile(file.path)) {
-    prefix = "IMG_"
-  } else if (helper.isRawFile(file.path)) {
-    prefix = "DSC_"
-  } else if (helper.isVideoFile(file.path)) {
-    prefix = "VID_"
-  } else {
-    prefix = "UNF_"
-  }
+  const template = options.template || NAME_TEMPLATE_DEFAULT
+  const prefix = selectPrefix(file.path, options.prefixes || parsePrefixes())
+  const suffix = options.suffix || ""
   const ext = helper.pathExt(file.path)
-  const ms = (file.rawDate?.[1].millisecond) || 0
+  // 模板中没有毫秒时，附加毫秒
+  const ms = template.includes("SSS") ? 0 : (file.rawDate?.[1].millisecond) || 0
   // https://dayjs.gitee.io/docs/zh-CN/display/format
-  const dateStr = dayjs(file.date).format("YYYYMMDD_HHmmss")
-  let dstName = ms > 0 ? `${prefix}${dateStr}_${ms}${ext}` : `${prefix}${dateStr}${ext}`
-  file["outName"] = dstName
+  const dateStr = renderNameTemplate(template, buildNameFields(file), file.date)
+  let dstName = ms > 0 ? `${prefix}${dateStr}_${ms}${suffix}${ext}` : `${prefix}${dateStr}${suffix}${ext}`
+  file["outName"] = helper.filenameSafe(dstName)
   log.debug(`createNameByDate ${helper.pathShort(file.path)} ${file.outName}`)
   return file
 }
 
-function buildNames(files) {
+// options = {template, prefix, suffix}
+function buildNames(files, options = {}) {
   let startMs = Date.now()
-  const newFiles = files.map((f) => createNameByDate(f))
+  const nameOptions = {
+    template: options.template,
+    prefixes: parsePrefixes(options.prefix),
+    suffix: options.suffix,
+  }
+  // 序号按照拍摄时间排序
+  const sorted = [...files].sort((a, b) => a.date - b.date)
+  sorted.forEach((f, i) => (f.seq = i + 1))
+  const newFiles = files.map((f) => createNameByDate(f, nameOptions))
   log.debug(`buildNames time: ${Date.now() - startMs}`)
   return newFiles
 }
@@ -297,12 +444,12 @@ function checkFiles(files) {
       log.info(chalk.yellow(`Duplicated: ${f.outName} to ${newOutName}`))
     }
     f.outName = newOutName
-    log.info(`Prepared:`, ` ${helper.pathShort(f.path)} ==> ${f.outName}`
+    log.info(`Prepared:`, ` ${helper.pathShort(f.path)} ==> ${f.outName} (${f.dateSource})`
     )
     return f
   })
   return [files, skippedBySize, skippedByDate]
 }
 
-export { buildNames, checkFiles, listMedia, parseFiles, readAllTags, readSingleExif, showExifDate }
+export { buildNameFields, buildNames, checkFiles, createDateTags, createGpsTags, endExifTool, extractCaptureDate, extractExifDate, listMedia, parseFiles, readAllTags, readRawTags, readSingleExif, selectDateTag, showExifDate, writeTags }
 
@@ -0,0 +1,117 @@
+/*
+ * File: geocode.js
+ * Created: 2026-10-19 18:33:40 +0800
+ * Modified: 2026-10-19 18:33:40 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import * as log from './debug.js'
+import { distance } from './gpx.js'
+
+// 离线逆地理编码，根据经纬度查找最近的城市，不访问网络
+// 数据来自 GeoNames 人口大于15000的城市，见 geo_cities.tsv
+// 按经纬度1度划分网格，从所在网格向外逐圈查找
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const citiesFile = path.join(__dirname, 'geo_cities.tsv')
+const countriesFile = path.join(__dirname, 'geo_countries.json')
+
+// 超过这个距离认为没有附近的城市，如海上，单位米
+const MAX_DISTANCE_DEFAULT = 100 * 1000
+
+let grid = null
+let countryNames = null
+
+// 第一次查询时加载数据，不使用时不占内存
+function loadData() {
+    if (grid) {
+        return
+    }
+    const startMs = Date.now()
+    grid = new Map()
+    countryNames = fs.readJsonSync(countriesFile)
+    const lines = fs.readFileSync(citiesFile, 'utf-8').split('\n')
+    let count = 0
+    for (const line of lines) {
+        if (!line || line.startsWith('#')) {
+            continue
+        }
+        const [name, countryCode, region, lat, lon, population] = line.split('\t')
+        const city = {
+            name,
+            countryCode,
+            region,
+            lat: Number(lat),
+            lon: Number(lon),
+            population: Number(population),
+        }
+        const key = cellKey(Math.floor(city.lat), Math.floor(city.lon))
+        if (!grid.has(key)) {
+            grid.set(key, [])
+        }
+        grid.get(key).push(city)
+        ++count
+    }
+    log.info('Geocode', `${count} cities loaded in ${Date.now() - startMs}ms`)
+}
+
+function cellKey(latCell, lonCell) {
+    // 经度跨越180度时回绕
+    const lon = ((lonCell + 180) % 360 + 360) % 360 - 180
+    return `${latCell},${lon}`
+}
+
+// 查找最近的城市，返回 { city, region, country, countryCode, place, distance }
+// 找不到时返回 undefined
+export function reverseGeocode(lat, lon, options = {}) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return
+    }
+    loadData()
+    const maxDistance = options.maxDistance ?? MAX_DISTANCE_DEFAULT
+    const pos = { lat, lon }
+    const latCell = Math.floor(lat)
+    const lonCell = Math.floor(lon)
+    // 1度纬度约111公里，经度随纬度缩小，按最小值估算搜索圈数
+    const maxRing = Math.ceil(maxDistance / 111000 / Math.max(Math.cos(Math.min(Math.abs(lat) + 1, 89) * Math.PI / 180), 0.05)) + 1
+    let best = null
+    let bestDistance = Infinity
+    for (let ring = 0; ring <= maxRing; ring++) {
+        for (let dLat = -ring; dLat <= ring; dLat++) {
+            for (let dLon = -ring; dLon <= ring; dLon++) {
+                if (Math.max(Math.abs(dLat), Math.abs(dLon)) !== ring) {
+                    continue
+                }
+                for (const city of grid.get(cellKey(latCell + dLat, lonCell + dLon)) || []) {
+                    const d = distance(pos, city)
+                    if (d < bestDistance) {
+                        best = city
+                        bestDistance = d
+                    }
+                }
+            }
+        }
+        // 下一圈的最近距离都比当前结果远，停止查找
+        if (best && bestDistance < ring * 111000 * Math.cos(Math.min(Math.abs(lat) + ring, 89) * Math.PI / 180)) {
+            break
+        }
+    }
+    if (!best || bestDistance > maxDistance) {
+        return
+    }
+    const country = countryNames[best.countryCode] || best.countryCode
+    return {
+        city: best.name,
+        region: best.region,
+        country,
+        countryCode: best.countryCode,
+        // 城市和省州，名称相同时只保留一个
+        place: [...new Set([best.name, best.region].filter(Boolean))].join(' '),
+        distance: Math.round(bestDistance),
+    }
+}
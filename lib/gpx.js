@@ -0,0 +1,114 @@
+/*
+ * File: gpx.js
+ * Created: 2026-10-19 18:31:51 +0800
+ * Modified: 2026-10-19 18:31:51 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import fs from 'fs-extra'
+import * as log from './debug.js'
+
+// GPX 轨迹文件解析和按时间匹配位置
+// 支持 trkpt rtept wpt 三种点，必须有 time 元素
+// <trkpt lat="39.9042" lon="116.4074"><ele>43.5</ele><time>2021-01-19T03:15:46Z</time></trkpt>
+
+const RE_POINT = /<(trkpt|rtept|wpt)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g
+const RE_ATTR = /\b(lat|lon)\s*=\s*["']([^"']+)["']/g
+const RE_ELE = /<ele>\s*([^<]+?)\s*<\/ele>/
+const RE_TIME = /<time>\s*([^<]+?)\s*<\/time>/
+
+// 解析GPX文本，返回按时间排序的点 [{lat, lon, ele, time}]，time 为毫秒
+export function parseGpx(content) {
+    const points = []
+    for (const m of content.matchAll(RE_POINT)) {
+        const attrs = {}
+        for (const a of m[2].matchAll(RE_ATTR)) {
+            attrs[a[1]] = Number(a[2])
+        }
+        const body = m[3] || ''
+        const timeStr = RE_TIME.exec(body)?.[1]
+        const time = timeStr ? Date.parse(timeStr) : NaN
+        if (!Number.isFinite(attrs.lat) || !Number.isFinite(attrs.lon) || !Number.isFinite(time)) {
+            continue
+        }
+        const ele = Number(RE_ELE.exec(body)?.[1])
+        points.push({
+            lat: attrs.lat,
+            lon: attrs.lon,
+            ele: Number.isFinite(ele) ? ele : undefined,
+            time,
+        })
+    }
+    return points.sort((a, b) => a.time - b.time)
+}
+
+// 读取多个GPX文件，合并所有点
+export async function loadGpxFiles(files = []) {
+    let points = []
+    for (const f of files) {
+        const items = parseGpx(await fs.readFile(f, 'utf-8'))
+        log.info('GPX', `${items.length} points loaded from ${f}`)
+        points = points.concat(items)
+    }
+    return points.sort((a, b) => a.time - b.time)
+}
+
+// 两点之间的球面距离，单位米
+export function distance(a, b) {
+    const R = 6371008.8
+    const rad = Math.PI / 180
+    const dLat = (b.lat - a.lat) * rad
+    const dLon = (b.lon - a.lon) * rad
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+// 二分查找，返回第一个时间大于等于 time 的点的索引
+function searchIndex(points, time) {
+    let lo = 0
+    let hi = points.length
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1
+        if (points[mid].time < time) {
+            lo = mid + 1
+        } else {
+            hi = mid
+        }
+    }
+    return lo
+}
+
+// 按时间匹配位置，返回 {lat, lon, ele, method, timeDiff, distance} 或 undefined
+// tolerance 最大时间差，毫秒
+// interpolate 前后两个点的间隔都在容差内时，按时间线性插值
+// timeDiff 为到最近轨迹点的时间差，distance 为结果到最近轨迹点的距离
+export function matchPosition(points, time, options = {}) {
+    const tolerance = options.tolerance ?? 60 * 1000
+    const interpolate = options.interpolate ?? true
+    if (points.length === 0 || !Number.isFinite(time)) {
+        return
+    }
+    const i = searchIndex(points, time)
+    const prev = i > 0 ? points[i - 1] : undefined
+    const next = i < points.length ? points[i] : undefined
+    const nearest = [prev, next].filter(Boolean)
+        .sort((a, b) => Math.abs(a.time - time) - Math.abs(b.time - time))[0]
+    const timeDiff = Math.abs(nearest.time - time)
+    if (next?.time === time) {
+        return { lat: next.lat, lon: next.lon, ele: next.ele, method: 'exact', timeDiff: 0, distance: 0 }
+    }
+    if (interpolate && prev && next && next.time - prev.time <= 2 * tolerance) {
+        const r = (time - prev.time) / (next.time - prev.time)
+        const pos = {
+            lat: prev.lat + (next.lat - prev.lat) * r,
+            lon: prev.lon + (next.lon - prev.lon) * r,
+            ele: prev.ele !== undefined && next.ele !== undefined ? prev.ele + (next.ele - prev.ele) * r : nearest.ele,
+        }
+        return { ...pos, method: 'interpolated', timeDiff, distance: distance(pos, nearest) }
+    }
+    if (timeDiff <= tolerance) {
+        return { lat: nearest.lat, lon: nearest.lon, ele: nearest.ele, method: 'nearest', timeDiff, distance: 0 }
+    }
+}
@@ -12,6 +12,9 @@ import { promises as fsp } from "fs"
 import fs from 'fs-extra'
 import { xxHash32 } from 'js-xxhash'
 import path from 'path'
+import * as log from './debug.js'
+import * as journal from './journal.js'
+import * as trash from './trash.js'
 const ARCHIVE_FORMATS = [
   ".7z",
   ".zip",
@@ -199,6 +202,26 @@ export function humanDuration(milliseconds, dp = 0) {
   return "< 1s"
 }
 
+// 解析时长字符串，返回毫秒数，支持正负号和组合单位
+// 示例 90d 8h -1h30m +45s 1.5h 2w 1y 500ms
+// 所有时长参数都使用这个函数，需要秒的地方在调用处转换
+const DURATION_UNITS = { y: 31536000000, w: 604800000, d: 86400000, h: 3600000, m: 60000, s: 1000, ms: 1 }
+export function parseDuration(str) {
+  if (typeof str === 'number') {
+    return str
+  }
+  const text = String(str || '').trim().toLowerCase()
+  const m = text.match(/^([+-])?((?:\d+(?:\.\d+)?(?:ms|y|w|d|h|m|s))+)$/)
+  if (!m) {
+    throw new Error(`Invalid duration: ${str}`)
+  }
+  let ms = 0
+  for (const [, num, unit] of m[2].matchAll(/(\d+(?:\.\d+)?)(ms|y|w|d|h|m|s)/g)) {
+    ms += parseFloat(num) * DURATION_UNITS[unit]
+  }
+  return m[1] === '-' ? -ms : ms
+}
+
 /**
  * Format bytes as human-readable text.
  * 
@@ -353,26 +376,43 @@ export function filenameSafe(name) {
 }
 
 export function getSafeDeletedDir(filepath) {
-  const dtStr = dayjs().format("YYYYMMDD")
-  const dir = path.join(pathRoot(filepath), 'Deleted_By_Mediac', dtStr)
-  return path.resolve(dir)
+  return path.resolve(trash.getTrashDayDir(filepath))
 }
 
 // 安全删除文件，转移到Deleted目录，而不是永久删除，防止误删
 // 安全删除的文件，移动后，保持原有目录结构
+// 记录到回收站清单，可以用 trash restore 恢复
+// 成功返回回收站中的路径，失败时显示错误并返回 undefined
 export async function safeRemove(filepath) {
   try {
-    let deletedDir = getSafeDeletedDir(filepath)
+    filepath = path.resolve(filepath)
+    const dayDir = getSafeDeletedDir(filepath)
     let parts = path.parse(filepath)
     let dirOriginal = path.relative(parts.root, parts.dir)
-    deletedDir = path.join(deletedDir, dirOriginal)
+    const deletedDir = path.join(dayDir, dirOriginal)
     let deletedPath = path.join(deletedDir, path.basename(filepath))
     if (await fs.pathExists(deletedPath)) {
       deletedPath = path.join(deletedDir, "_", path.basename(filepath))
     }
-    await fs.ensureDir(deletedDir)
+    // 同一天多次删除同名文件
+    if (await fs.pathExists(deletedPath)) {
+      deletedPath = path.join(deletedDir, `_${dayjs().format("HHmmssSSS")}`, path.basename(filepath))
+    }
+    const st = await fs.stat(filepath)
+    await fs.ensureDir(path.dirname(deletedPath))
     await fs.move(filepath, deletedPath)
-  } catch (error) { }
+    await trash.recordTrash(dayDir, {
+      src: filepath,
+      dst: deletedPath,
+      size: st.size,
+      mtime: st.mtimeMs,
+      isDir: st.isDirectory(),
+    })
+    await journal.record(journal.OP_SAFE_REMOVE, filepath, deletedPath)
+    return deletedPath
+  } catch (error) {
+    log.warn('safeRemove', `failed: <${filepath}>`, error.message)
+  }
 }
 
 // 复杂的长正侧，可以分离组合
@@ -384,10 +424,13 @@ export const combineRegexG = (...parts) =>
 
 export async function isEmptyDir(dirPath) {
   // return (await fs.promises.readdir(dirPath)).length === 0;
-  const dirIter = await fsp.opendir(dirPath)
-  const { value, done } = await dirIter[Symbol.asyncIterator]().next()
-  await dirIter.close()
-  return !value
+  // 异步迭代器读完空目录会自动关闭，再次 close 会报错，使用 read
+  const dir = await fsp.opendir(dirPath)
+  try {
+    return (await dir.read()) === null
+  } finally {
+    await dir.close()
+  }
 }
 
 // 计算字符串长度，中文算2，英文算1
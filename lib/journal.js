@@ -0,0 +1,125 @@
+/*
+ * File: journal.js
+ * Created: 2026-10-19 18:18:37 +0800
+ * Modified: 2026-10-19 18:18:37 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import dayjs from "dayjs"
+import fs from 'fs-extra'
+import path from "path"
+import * as log from './debug.js'
+import { getDataDir } from './shared.js'
+
+// 操作日志，记录每次实际执行的 重命名/移动/删除 操作
+// 文件格式 JSON Lines，第一行是header，后面每行一个操作
+// {"type":"header","command":"rename","root":"...","createdAt":"..."}
+// {"type":"op","op":"rename","src":"...","dst":"...","size":123,"mtime":1712345678901,"time":"..."}
+// 用于 undo 命令撤销操作
+
+// 操作类型
+export const OP_RENAME = 'rename'
+export const OP_MOVE = 'move'
+// 安全删除，移动到 Deleted_By_Mediac 目录，可以恢复
+export const OP_SAFE_REMOVE = 'safe-remove'
+// 永久删除，无法恢复，仅记录
+export const OP_DELETE = 'delete'
+
+const nowDateStr = dayjs().format("YYYYMMDDHHmmss")
+let journalCommand = "mediac"
+let journalRoot = null
+let journalPath = null
+
+export function getJournalDir() {
+    return getDataDir('journal')
+}
+
+// 设置当前命令名称，用于日志文件名
+export function setCommand(command, root = null) {
+    journalCommand = command || journalCommand
+    journalRoot = root || journalRoot
+}
+
+// 当前日志文件路径，没有任何操作记录时返回null
+export function currentPath() {
+    return journalPath
+}
+
+// 第一次记录时创建日志文件，测试模式不会产生日志文件
+async function ensureJournal() {
+    if (journalPath) {
+        return journalPath
+    }
+    const filePath = path.join(getJournalDir(), `${journalCommand}_${nowDateStr}.jsonl`)
+    await fs.ensureDir(path.dirname(filePath))
+    const header = {
+        type: 'header',
+        command: journalCommand,
+        root: journalRoot,
+        cwd: process.cwd(),
+        createdAt: dayjs().format(),
+    }
+    await fs.appendFile(filePath, JSON.stringify(header) + '\n', { encoding: 'utf-8' })
+    journalPath = filePath
+    return journalPath
+}
+
+// 记录一次文件操作，src为原始路径，dst为操作后路径
+// 记录dst的大小和修改时间，撤销时用于检查文件是否被改动
+export async function record(op, src, dst, extra = {}) {
+    try {
+        const st = dst && await fs.pathExists(dst) ? await fs.stat(dst) : null
+        const item = {
+            type: 'op',
+            op,
+            src: path.resolve(src),
+            dst: dst ? path.resolve(dst) : null,
+            size: st ? st.size : extra.size,
+            mtime: st ? st.mtimeMs : extra.mtime,
+            isDir: st ? st.isDirectory() : extra.isDir || false,
+            time: dayjs().format(),
+        }
+        await fs.appendFile(await ensureJournal(), JSON.stringify(item) + '\n', { encoding: 'utf-8' })
+    } catch (error) {
+        // 日志失败不影响主流程
+        log.warn('Journal', `record failed: ${op} <${src}>`, error.message)
+    }
+}
+
+// 读取日志文件，返回 [header, ops]
+export async function readJournal(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8')
+    const lines = content.split(/\r?\n/).filter(x => x.trim().length > 0)
+    let header = null
+    const ops = []
+    for (const [i, line] of lines.entries()) {
+        let item
+        try {
+            item = JSON.parse(line)
+        } catch (error) {
+            throw new Error(`Invalid journal line ${i + 1}: ${filePath}`)
+        }
+        if (item.type === 'header') {
+            header = item
+        } else if (item.type === 'op') {
+            ops.push(item)
+        }
+    }
+    return [header, ops]
+}
+
+// 列出所有日志文件，最新的在前
+export async function listJournals() {
+    const dir = getJournalDir()
+    if (!await fs.pathExists(dir)) {
+        return []
+    }
+    const names = (await fs.readdir(dir)).filter(x => x.endsWith('.jsonl'))
+    const items = await Promise.all(names.map(async (name) => {
+        const filePath = path.join(dir, name)
+        const st = await fs.stat(filePath)
+        return { path: filePath, name, mtime: st.mtimeMs, size: st.size }
+    }))
+    return items.sort((a, b) => b.mtime - a.mtime)
+}
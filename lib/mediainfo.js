@@ -12,6 +12,7 @@ import * as helper from '../lib/helper.js'
 import { roundNum } from './core.js'
 import * as log from './debug.js'
 import { hasBadUnicode } from './encoding.js'
+import * as cache from './meta_cache.js'
 import { fromFFprobeJson, fromMediaInfoJson } from './media_parser.js'
 import { trySmartAsync } from './tryfp.js'
 
@@ -90,8 +91,14 @@ async function parseMediaInfo(filePath) {
     return fromMediaInfoJson(await mediainfoCall(filePath))
 }
 
-// 优先使用ffprobe 因为可以指定字段，mediainfo产生的json可能文件名乱码
+// 读取媒体信息，优先使用磁盘缓存，缓存按照首选工具区分
 export async function getMediaInfo(filePath, options = { useMediaInfo: true }) {
+    const namespace = options.useMediaInfo ? 'mediainfo' : 'ffprobe'
+    return await cache.cached(namespace, filePath, (fp) => readMediaInfo(fp, options))
+}
+
+// 优先使用ffprobe 因为可以指定字段，mediainfo产生的json可能文件名乱码
+async function readMediaInfo(filePath, options) {
     if (!HAS_FFPROBE_EXE && !HAS_MEDIAINFO_EXE) {
         throw new Error('both ffprobe and mediainfo binary not found')
     }
@@ -0,0 +1,119 @@
+/*
+ * File: meta_cache.js
+ * Created: 2026-10-19 18:19:25 +0800
+ * Modified: 2026-10-19 18:19:25 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import { writeFile } from 'atomically'
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import path from "path"
+import * as log from './debug.js'
+import { getDataDir } from './shared.js'
+
+// 元数据磁盘缓存，用于 exiftool ffprobe mediainfo 等耗时的读取结果
+// 缓存键 = 命名空间 + 文件完整路径 + 文件大小 + 修改时间 + 状态变更时间
+// 文件被修改后，大小或时间变化，缓存自动失效
+// 写入EXIF后同步修改时间，大小和修改时间可能不变，ctime 一定会变
+// 每个条目单独一个JSON文件，按哈希前两位分目录，避免单个大文件
+// 目录结构 <data>/cache/<namespace>/<hh>/<hash>.json
+
+const cacheOptions = {
+    // 是否启用缓存，禁用时不读也不写
+    enabled: true,
+    // 刷新模式，忽略已有缓存，重新读取并写入
+    refresh: false,
+}
+
+export function setCacheOptions(options = {}) {
+    if (typeof options.enabled === 'boolean') {
+        cacheOptions.enabled = options.enabled
+    }
+    if (typeof options.refresh === 'boolean') {
+        cacheOptions.refresh = options.refresh
+    }
+    log.debug('MetaCache', cacheOptions)
+}
+
+export function getCacheDir(namespace = '') {
+    return getDataDir('cache', namespace)
+}
+
+function cacheKey(namespace, filePath, st) {
+    const text = `${namespace}|${filePath}|${st.size}|${Math.floor(st.mtimeMs)}|${Math.floor(st.ctimeMs)}`
+    return crypto.createHash('sha1').update(text).digest('hex')
+}
+
+function entryPath(namespace, key) {
+    return path.join(getCacheDir(namespace), key.slice(0, 2), `${key}.json`)
+}
+
+// 读取缓存，不存在或失效返回undefined
+// parse 用于还原特殊对象，如 exiftool 的 ExifDateTime
+export async function getEntry(namespace, filePath, parse = JSON.parse) {
+    if (!cacheOptions.enabled || cacheOptions.refresh) {
+        return
+    }
+    try {
+        const fullPath = path.resolve(filePath)
+        const st = await fs.stat(fullPath)
+        const p = entryPath(namespace, cacheKey(namespace, fullPath, st))
+        if (!await fs.pathExists(p)) {
+            return
+        }
+        const entry = parse(await fs.readFile(p, 'utf-8'))
+        // 防止哈希冲突
+        if (entry?.path !== fullPath || entry.size !== st.size) {
+            return
+        }
+        log.debug('MetaCache', `hit ${namespace} ${fullPath}`)
+        return entry.data
+    } catch (error) {
+        log.debug('MetaCache', `read error ${namespace} ${filePath}`, error.message)
+    }
+}
+
+// 写入缓存，data 必须可以JSON序列化
+export async function putEntry(namespace, filePath, data) {
+    if (!cacheOptions.enabled || data === undefined || data === null) {
+        return
+    }
+    try {
+        const fullPath = path.resolve(filePath)
+        const st = await fs.stat(fullPath)
+        const p = entryPath(namespace, cacheKey(namespace, fullPath, st))
+        await fs.ensureDir(path.dirname(p))
+        const entry = {
+            path: fullPath,
+            size: st.size,
+            mtime: st.mtimeMs,
+            createdAt: Date.now(),
+            data,
+        }
+        await writeFile(p, JSON.stringify(entry), { encoding: 'utf-8' })
+    } catch (error) {
+        log.debug('MetaCache', `write error ${namespace} ${filePath}`, error.message)
+    }
+}
+
+// 优先读取缓存，没有缓存时调用loader并写入缓存
+export async function cached(namespace, filePath, loader, parse = JSON.parse) {
+    const hit = await getEntry(namespace, filePath, parse)
+    if (hit !== undefined) {
+        return hit
+    }
+    const data = await loader(filePath)
+    await putEntry(namespace, filePath, data)
+    return data
+}
+
+// 清空指定命名空间的缓存，不指定则清空全部
+export async function clearCache(namespace = '') {
+    const dir = getCacheDir(namespace)
+    if (await fs.pathExists(dir)) {
+        await fs.remove(dir)
+        log.show('MetaCache', `cache cleared: ${dir}`)
+    }
+}
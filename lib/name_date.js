@@ -0,0 +1,94 @@
+/*
+ * File: name_date.js
+ * Created: 2026-10-19 18:20:44 +0800
+ * Modified: 2026-10-19 18:20:44 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import dayjs from "dayjs"
+import path from "path"
+
+// 从文件名中提取日期，用于EXIF没有拍摄日期的情况
+// 微信、WhatsApp导出，截图，下载的图片，复制后修改时间不可靠
+// 文件名中的日期时间按本地时间处理
+// 示例
+// IMG_20210119_111546.jpg
+// PXL_20210119_111546123.jpg
+// Screenshot_2021-01-19-11-15-46.png
+// VID-20210119-WA0001.mp4
+// mmexport1612345678901.jpg (毫秒时间戳)
+// wx_camera_1612345678901.jpg (毫秒时间戳)
+
+// 有效年份范围
+const YEAR_MIN = 1990
+const YEAR_MAX = dayjs().year() + 1
+
+// 内置规则，按顺序匹配，先匹配的优先
+// 自定义规则使用命名分组 Y M D h m s 或 ts(秒) tms(毫秒)
+export const NAME_DATE_PATTERNS = [
+    {
+        // 年月日时分秒，分隔符可选
+        // IMG_20210119_111546 Screenshot_2021-01-19-11-15-46 PXL_20210119_111546123
+        name: 'datetime',
+        regex: /(?<!\d)(?<Y>(?:19|20)\d{2})[-_.]?(?<M>\d{2})[-_.]?(?<D>\d{2})[-_. T]?(?<h>\d{2})[-_.:]?(?<m>\d{2})[-_.:]?(?<s>\d{2})/,
+    },
+    {
+        // 毫秒时间戳 mmexport1612345678901 wx_camera_1612345678901
+        name: 'epoch-ms',
+        regex: /(?<!\d)(?<tms>1\d{12})(?!\d)/,
+    },
+    {
+        // 秒时间戳 1612345678
+        name: 'epoch',
+        regex: /(?<!\d)(?<ts>1\d{9})(?!\d)/,
+    },
+    {
+        // 只有年月日 VID-20210119-WA0001 IMG-20210119-WA0001
+        name: 'date',
+        regex: /(?<!\d)(?<Y>(?:19|20)\d{2})[-_.]?(?<M>\d{2})[-_.]?(?<D>\d{2})(?!\d)/,
+    },
+]
+
+// 自定义规则字符串转为规则对象，字符串为正则表达式
+export function createPatterns(patternStrs = []) {
+    return [patternStrs].flat().filter(Boolean).map((s, i) => {
+        return { name: `custom${i + 1}`, regex: new RegExp(s, 'u') }
+    })
+}
+
+function toDate(groups) {
+    if (groups.tms) {
+        return new Date(Number(groups.tms))
+    }
+    if (groups.ts) {
+        return new Date(Number(groups.ts) * 1000)
+    }
+    const [Y, M, D] = [groups.Y, groups.M, groups.D].map(Number)
+    const [h, m, s] = [groups.h, groups.m, groups.s].map(x => Number(x || 0))
+    if (M < 1 || M > 12 || D < 1 || D > 31 || h > 23 || m > 59 || s > 59) {
+        return
+    }
+    const dt = new Date(Y, M - 1, D, h, m, s)
+    // 排除 2月30日 这种无效日期
+    if (dt.getMonth() !== M - 1 || dt.getDate() !== D) {
+        return
+    }
+    return dt
+}
+
+// 从文件名提取日期，返回 { date, pattern } 或 undefined
+// extraPatterns 自定义规则，优先于内置规则
+export function extractDateFromName(filename, extraPatterns = []) {
+    const name = path.parse(filename).name
+    for (const p of [...extraPatterns, ...NAME_DATE_PATTERNS]) {
+        const match = name.match(p.regex)
+        if (!match?.groups) {
+            continue
+        }
+        const date = toDate(match.groups)
+        if (date && !isNaN(date) && date.getFullYear() >= YEAR_MIN && date.getFullYear() <= YEAR_MAX) {
+            return { date, pattern: p.name }
+        }
+    }
+}
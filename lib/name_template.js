@@ -0,0 +1,61 @@
+/*
+ * File: name_template.js
+ * Created: 2026-10-19 18:17:22 +0800
+ * Modified: 2026-10-19 18:17:22 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import dayjs from "dayjs"
+import { filenameSafe } from './helper.js'
+
+// 文件名和路径模板
+// 大括号包裹的是占位符 {name}
+// 如果 name 是已知的元数据字段，替换为字段值，如 {model} {make} {lens} {orig} {seq} {ext}
+// 否则当作dayjs日期格式处理，如 {YYYYMMDD_HHmmss} {YYYY-MM}
+// 参考 https://day.js.org/docs/en/display/format
+// 示例 {YYYYMMDD_HHmmss}_{model} => 20210119_111546_ILCE-7M4
+// 示例 {YYYY}/{YYYY-MM}/{model} => 2021/2021-01/ILCE-7M4
+const RE_PLACEHOLDER = /{([^{}]+)}/g
+
+// 模板是否包含占位符，不包含时整个模板视为日期格式
+export function hasPlaceholder(template) {
+    return typeof template === 'string' && /{[^{}]+}/.test(template)
+}
+
+// 字段值用于文件名，去掉非法字符，空白改为下划线
+export function fieldValueSafe(value) {
+    if (value === undefined || value === null) {
+        return ''
+    }
+    return filenameSafe(String(value).trim()).replaceAll(/\s+/g, '_')
+}
+
+// 渲染模板，fields为字段值对象，date为日期
+// 字段名大小写不敏感，未知字段按日期格式处理
+export function renderTemplate(template, fields = {}, date = null) {
+    if (typeof template !== 'string') {
+        return ''
+    }
+    const values = {}
+    for (const [k, v] of Object.entries(fields)) {
+        values[k.toLowerCase()] = v
+    }
+    const dt = date ? dayjs(date) : null
+    return template.replace(RE_PLACEHOLDER, (match, key) => {
+        const name = key.trim()
+        if (Object.hasOwn(values, name.toLowerCase())) {
+            return fieldValueSafe(values[name.toLowerCase()])
+        }
+        // 没有日期时，日期占位符替换为空
+        return dt?.isValid() ? dt.format(name) : ''
+    })
+}
+
+// 渲染文件名模板，缺失字段导致的重复分隔符合并，去掉首尾分隔符
+export function renderNameTemplate(template, fields = {}, date = null) {
+    const tpl = hasPlaceholder(template) ? template : `{${template}}`
+    return renderTemplate(tpl, fields, date)
+        .replaceAll(/([_-])[_-]+/g, '$1')
+        .replaceAll(/^[\s._-]+|[\s._-]+$/g, '')
+}
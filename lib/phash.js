@@ -0,0 +1,210 @@
+/*
+ * File: phash.js
+ * Created: 2026-10-19 18:43:58 +0800
+ * Modified: 2026-10-19 18:43:58 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import { cpus } from "os"
+import pMap from 'p-map'
+import path from "path"
+import sharp from "sharp"
+import * as log from './debug.js'
+import * as helper from './helper.js'
+import * as cache from './meta_cache.js'
+
+// 感知哈希，用于查找相似图片，如不同分辨率或重新压缩的同一张照片
+// dHash 缩放为 9x8 灰度图，每行相邻像素比较亮度，得到64位哈希
+// 两个哈希的汉明距离（不同的位数）越小越相似，0表示几乎相同
+// 哈希结果使用元数据缓存，文件不变时不重新计算
+
+// 默认相似阈值，64位中最多不同的位数
+export const SIMILAR_THRESHOLD = 8
+
+// 计算dHash，返回16位十六进制字符串
+// input 为文件路径或图片Buffer
+export async function dHash(input) {
+    const { data, info } = await sharp(input, { failOn: 'none' })
+        // 按EXIF方向旋转，避免竖拍照片和横版副本不匹配
+        .rotate()
+        // 透明背景填充白色，和转换为JPEG的副本一致
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+    const ch = info.channels
+    const pixel = (x, y) => data[(y * 9 + x) * ch]
+    let hash = ''
+    for (let y = 0; y < 8; y++) {
+        let bits = 0
+        for (let x = 0; x < 8; x++) {
+            bits = (bits << 1) | (pixel(x, y) > pixel(x + 1, y) ? 1 : 0)
+        }
+        hash += bits.toString(16).padStart(2, '0')
+    }
+    return hash
+}
+
+// 读取图片的dHash和尺寸，优先使用缓存
+export async function imageHash(filePath) {
+    return await cache.cached('dhash', filePath, async (fp) => {
+        const m = await sharp(fp, { failOn: 'none' }).metadata()
+        // 方向5-8需要交换宽高
+        const rotated = m.orientation >= 5
+        return {
+            hash: await dHash(fp),
+            width: rotated ? m.height : m.width,
+            height: rotated ? m.width : m.height,
+        }
+    })
+}
+
+function popcount32(n) {
+    n = n - ((n >>> 1) & 0x55555555)
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333)
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24
+}
+
+// 两个等长十六进制哈希的汉明距离
+export function hammingDistance(a, b) {
+    let d = 0
+    for (let i = 0; i < a.length; i += 8) {
+        d += popcount32((parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0)
+    }
+    return d
+}
+
+// BK树，按汉明距离快速查找相近的哈希，避免两两比较
+class BKTree {
+    constructor(distance) {
+        this.distance = distance
+        this.root = null
+    }
+
+    add(item) {
+        if (!this.root) {
+            this.root = { item, children: new Map() }
+            return
+        }
+        let node = this.root
+        for (; ;) {
+            const d = this.distance(item.hash, node.item.hash)
+            const child = node.children.get(d)
+            if (!child) {
+                node.children.set(d, { item, children: new Map() })
+                return
+            }
+            node = child
+        }
+    }
+
+    search(hash, threshold) {
+        const results = []
+        const stack = this.root ? [this.root] : []
+        while (stack.length > 0) {
+            const node = stack.pop()
+            const d = this.distance(hash, node.item.hash)
+            if (d <= threshold) {
+                results.push(node.item)
+            }
+            for (const [cd, child] of node.children) {
+                if (cd >= d - threshold && cd <= d + threshold) {
+                    stack.push(child)
+                }
+            }
+        }
+        return results
+    }
+}
+
+// 按哈希相似度聚类，items 需要 hash 字段，距离不超过阈值的归为一组
+// 相似关系可以传递，A像B，B像C，则ABC为一组，A和C的距离可能超过阈值
+// 删除时只删除和保留文件距离不超过阈值的成员
+// 返回多于一个成员的组 [[item...]]
+export function clusterByHash(items, threshold = SIMILAR_THRESHOLD, distance = hammingDistance) {
+    const tree = new BKTree(distance)
+    items.forEach((item, i) => tree.add({ ...item, _index: i }))
+    const parent = items.map((_, i) => i)
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]]
+            i = parent[i]
+        }
+        return i
+    }
+    items.forEach((item, i) => {
+        for (const other of tree.search(item.hash, threshold)) {
+            const [a, b] = [find(i), find(other._index)]
+            if (a !== b) {
+                parent[a] = b
+            }
+        }
+    })
+    const groups = new Map()
+    items.forEach((item, i) => {
+        const root = find(i)
+        if (!groups.has(root)) {
+            groups.set(root, [])
+        }
+        groups.get(root).push(item)
+    })
+    return [...groups.values()].filter(g => g.length > 1)
+}
+
+// 查找相似图片，files 为 mf.walk 返回的文件列表
+// 返回相似图片组，每个文件添加 hash width height 字段
+export async function findSimilarImages(files, threshold = SIMILAR_THRESHOLD) {
+    const logTag = 'Similar'
+    const startMs = Date.now()
+    const images = files.filter(f => helper.isImageFile(f.path))
+    let done = 0
+    const items = (await pMap(images, async (f) => {
+        try {
+            const r = await imageHash(f.path)
+            ++done % 500 === 0 && log.show(logTag, `${done}/${images.length} images hashed`)
+            return { ...f, ...r }
+        } catch (error) {
+            log.warn(logTag, `hash failed: ${helper.pathShort(f.path)}`, error.message)
+        }
+    }, { concurrency: cpus().length })).filter(Boolean)
+    log.show(logTag, `${items.length}/${images.length} images hashed in ${helper.humanTime(startMs)}`)
+    const groups = clusterByHash(items, threshold)
+    log.show(logTag, `${groups.flat().length} images in ${groups.length} similar groups (threshold=${threshold})`)
+    return groups
+}
+
+// 视频编码格式优先级，越靠前越好，用于 codec 保留策略
+const CODEC_RANK = ['av1', 'hevc', 'h265', 'vp9', 'h264', 'avc', 'vp8', 'mpeg4', 'wmv3', 'mpeg2video']
+
+// 相似组的保留策略，bitrate 和 codec 只用于视频，图片按分辨率比较
+export const SIMILAR_KEEP_POLICIES = ['resolution', 'size', 'bitrate', 'codec']
+
+function codecRank(codec) {
+    const i = CODEC_RANK.indexOf(String(codec || '').toLowerCase())
+    return i >= 0 ? i : CODEC_RANK.length
+}
+
+// 相似组排序，第一个保留
+// resolution 分辨率最高，size 文件最大，bitrate 码率最高，codec 编码格式最新
+// 主策略相同时依次按分辨率、码率、文件大小和路径比较
+export function sortBySimilarKeep(group, keep = 'resolution') {
+    const pixels = (f) => (f.width || 0) * (f.height || 0)
+    const comparators = {
+        resolution: (a, b) => pixels(b) - pixels(a),
+        size: (a, b) => b.size - a.size,
+        bitrate: (a, b) => (b.bitrate || 0) - (a.bitrate || 0),
+        codec: (a, b) => codecRank(a.vcodec) - codecRank(b.vcodec),
+    }
+    const order = [keep, 'resolution', 'bitrate', 'size'].map(k => comparators[k])
+    return [...group].sort((a, b) => {
+        for (const cmp of order) {
+            const c = cmp(a, b)
+            if (c !== 0) {
+                return c
+            }
+        }
+        return path.basename(a.path).length - path.basename(b.path).length || a.path.localeCompare(b.path)
+    })
+}
@@ -0,0 +1,180 @@
+/*
+ * File: plan.js
+ * Created: 2026-10-19 18:57:50 +0800
+ * Modified: 2026-10-19 18:57:50 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import dayjs from "dayjs"
+import fs from 'fs-extra'
+import path from "path"
+
+// 任务计划文件，rename/remove/compress/ffmpeg 使用 --plan 导出完整任务列表
+// 人工审核或修改后，使用 apply 命令执行
+// JSON格式 {"command":"rename","createdAt":"...","items":[{...}]}
+// CSV格式 每行一个条目，args 列是JSON字符串
+// 条目 {"action":"rename","src":"...","dst":"...","reason":"...","size":123,"mtime":1712345678901,"isDir":false,"args":{}}
+// size 和 mtime 是生成计划时源文件的状态，执行前检查，文件改动过则跳过
+
+export const ACTION_RENAME = 'rename'
+export const ACTION_MOVE = 'move'
+export const ACTION_SAFE_REMOVE = 'safe-remove'
+export const ACTION_DELETE = 'delete'
+export const ACTION_COMPRESS = 'compress'
+export const ACTION_FFMPEG = 'ffmpeg'
+
+export const PLAN_ACTIONS = [ACTION_RENAME, ACTION_MOVE, ACTION_SAFE_REMOVE, ACTION_DELETE, ACTION_COMPRESS, ACTION_FFMPEG]
+// 这些操作需要目标路径
+export const DST_ACTIONS = [ACTION_RENAME, ACTION_MOVE, ACTION_COMPRESS, ACTION_FFMPEG]
+
+const CSV_KEYS = ['action', 'src', 'dst', 'reason', 'size', 'mtime', 'isDir', 'args']
+
+// 创建计划条目，记录源文件当前的大小和修改时间
+export async function createItem(action, src, dst, reason, args) {
+    const st = await fs.stat(src)
+    return {
+        action,
+        src: path.resolve(src),
+        dst: dst ? path.resolve(dst) : null,
+        reason: String(reason || '').trim(),
+        size: st.isDirectory() ? 0 : st.size,
+        mtime: Math.floor(st.mtimeMs),
+        isDir: st.isDirectory(),
+        args: args || undefined,
+    }
+}
+
+function csvField(value) {
+    if (value === undefined || value === null) {
+        return ''
+    }
+    const s = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+// 解析CSV文本，支持引号包裹的逗号引号和换行
+function parseCsv(text) {
+    const rows = []
+    let row = []
+    let field = ''
+    let quoted = false
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i]
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (c === '"') {
+                quoted = false
+            } else {
+                field += c
+            }
+        } else if (c === '"') {
+            quoted = true
+        } else if (c === ',') {
+            row.push(field)
+            field = ''
+        } else if (c === '\n' || c === '\r') {
+            c === '\r' && text[i + 1] === '\n' && i++
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ''
+        } else {
+            field += c
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field)
+        rows.push(row)
+    }
+    return rows.filter(r => r.some(Boolean))
+}
+
+function isCsvFile(filePath) {
+    return path.extname(filePath).toLowerCase() === '.csv'
+}
+
+// 保存计划文件，按扩展名选择JSON或CSV格式
+export async function writePlan(output, command, items) {
+    const filePath = path.resolve(output)
+    let content
+    if (isCsvFile(filePath)) {
+        content = [CSV_KEYS.join(','), ...items.map(r => CSV_KEYS.map(k => csvField(r[k])).join(','))].join('\n')
+    } else {
+        content = JSON.stringify({ command, createdAt: dayjs().format(), items }, null, 4)
+    }
+    await fs.outputFile(filePath, content + '\n')
+    return filePath
+}
+
+// 读取计划文件，检查每个条目的必需字段
+export async function readPlan(planFile) {
+    const filePath = path.resolve(planFile)
+    const content = (await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, '')
+    let plan
+    if (isCsvFile(filePath)) {
+        const [header, ...rows] = parseCsv(content)
+        const keys = (header || []).map(k => k.trim())
+        const items = rows.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i]])))
+        plan = { command: null, items }
+    } else {
+        plan = JSON.parse(content)
+        // 也支持只有条目数组的JSON
+        plan = Array.isArray(plan) ? { command: null, items: plan } : plan
+    }
+    const items = (plan.items || []).map((item, i) => normalizeItem(item, i + 1))
+    return { ...plan, path: filePath, items }
+}
+
+function normalizeItem(item, line) {
+    const action = String(item.action || '').trim().toLowerCase()
+    if (!PLAN_ACTIONS.includes(action)) {
+        throw new Error(`Invalid action '${item.action}' in plan item ${line}, must be one of ${PLAN_ACTIONS}`)
+    }
+    if (!item.src) {
+        throw new Error(`Missing src in plan item ${line}`)
+    }
+    if (DST_ACTIONS.includes(action) && !item.dst) {
+        throw new Error(`Missing dst in plan item ${line} (${action})`)
+    }
+    // 手工编辑的CSV中数字和args都是字符串
+    const toNumber = (v) => v === undefined || v === null || v === '' ? undefined : Number(v)
+    let args = item.args
+    if (typeof args === 'string') {
+        args = args.trim() ? JSON.parse(args) : undefined
+    }
+    return {
+        ...item,
+        line,
+        action,
+        src: path.resolve(String(item.src).trim()),
+        dst: item.dst ? path.resolve(String(item.dst).trim()) : null,
+        size: toNumber(item.size),
+        mtime: toNumber(item.mtime),
+        isDir: item.isDir === true || item.isDir === 'true',
+        args,
+    }
+}
+
+// 检查源文件是否和生成计划时相同，返回冲突原因，没有冲突返回undefined
+export async function checkItem(item, force = false) {
+    if (!await fs.pathExists(item.src)) {
+        return 'SRC_MISSING'
+    }
+    if (item.dst && item.dst !== item.src && await fs.pathExists(item.dst)) {
+        return 'DST_EXISTS'
+    }
+    if (force) {
+        return
+    }
+    // 手工添加的条目没有源文件状态，无法确认
+    if (item.mtime === undefined || Number.isNaN(item.mtime)) {
+        return 'NO_FINGERPRINT'
+    }
+    const st = await fs.stat(item.src)
+    if ((!item.isDir && item.size !== st.size) || Math.abs(st.mtimeMs - item.mtime) > 1000) {
+        return 'SRC_CHANGED'
+    }
+}
@@ -0,0 +1,85 @@
+/*
+ * File: prompt.js
+ * Created: 2026-10-19 18:59:20 +0800
+ * Modified: 2026-10-19 18:59:20 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import chalk from 'chalk'
+import inquirer from "inquirer"
+import { stripVTControlCharacters } from "util"
+import * as log from './debug.js'
+import * as result from './result.js'
+
+// 命令执行前的确认问题，支持非交互模式，用于定时任务和CI等自动化场景
+// --yes 主要问题自动回答是，--no 所有问题自动回答否
+// 次要问题由策略参数决定，如失败后是否重试，没有指定策略时 --yes 模式回答否
+// 标准输入不是终端时无法交互，没有指定答案的问题直接报错，不会一直等待
+
+// 次要问题的策略
+// ffmpeg 转换失败后重试
+export const POLICY_RETRY_FAILED = 'retryFailed'
+// ffmpeg 目标文件已存在时删除源文件
+export const POLICY_PURGE_EXISTING = 'purgeExisting'
+// moveup 移动后删除空的子目录
+export const POLICY_CLEANUP_DIRS = 'cleanupDirs'
+
+const POLICIES = [POLICY_RETRY_FAILED, POLICY_PURGE_EXISTING, POLICY_CLEANUP_DIRS]
+
+const promptOptions = {
+    yes: false,
+    no: false,
+    policies: {},
+}
+
+// argv 中的 yes no 和策略参数，策略参数未指定时为 undefined
+export function setPromptOptions(argv) {
+    if (argv.yes && argv.no) {
+        throw new Error("--yes and --no can not be used together")
+    }
+    promptOptions.yes = argv.yes || false
+    promptOptions.no = argv.no || false
+    promptOptions.policies = Object.fromEntries(POLICIES.map(p => [p, argv[p]]))
+}
+
+function autoAnswer(message, value, reason) {
+    log.show(`${chalk.green('?')} ${message} ${chalk.cyan(value ? 'Yes' : 'No')} ${chalk.gray(`(${reason})`)}`)
+    return value
+}
+
+// 确认问题，返回 true 或 false，policy 表示次要问题的策略名
+// 主要问题回答否时，在结果对象中标记为已取消
+export async function confirm(message, policy) {
+    const answer = await ask(message, policy)
+    !policy && !answer && result.set('aborted', true)
+    return answer
+}
+
+async function ask(message, policy) {
+    if (promptOptions.no) {
+        return autoAnswer(message, false, '--no')
+    }
+    const value = policy && promptOptions.policies[policy]
+    if (policy && value !== undefined) {
+        return autoAnswer(message, value, `policy ${policy}`)
+    }
+    if (promptOptions.yes) {
+        // 次要问题没有指定策略，选择安全的答案
+        return autoAnswer(message, !policy, policy ? `--yes, no policy ${policy}` : '--yes')
+    }
+    if (!process.stdin.isTTY) {
+        throw new Error(`stdin is not a TTY, can not ask "${stripVTControlCharacters(message)}", use --yes or --no for non-interactive mode`)
+    }
+    // JSON模式下标准输出只用于结果对象
+    const prompt = log.isJsonMode() ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt
+    const answer = await prompt([
+        {
+            type: "confirm",
+            name: "yes",
+            default: false,
+            message,
+        },
+    ])
+    return answer.yes
+}
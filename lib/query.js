@@ -0,0 +1,314 @@
+/*
+ * File: query.js
+ * Created: 2026-10-19 18:41:18 +0800
+ * Modified: 2026-10-19 18:41:18 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import argparser from './argparser.js'
+import * as helper from './helper.js'
+
+// 条件表达式，用于按字段筛选对象
+// model=ILCE-7M4 and date>=2023-01 and width>=6000
+// (ext=.jpg or ext=.heic) and not model~iphone
+// 比较符 = != > >= < <= ~(正则) !~ in(列表)
+// 正则可以写成 name~/cover/i 的形式，列表格式同 argparser.js 的数组 ext in [jpg,png]
+// 连接符 and or not 和括号，and 优先于 or，也可以用 && || !
+// 值包含空格或特殊字符时用引号 "Canon EOS R5"
+// 数字字段支持单位 size>=10M duration>90s bitrate<2M
+// 日期字段按前缀比较，date=2023-01 匹配2023年1月，date<2024 匹配2024年之前
+// 扩展名字段忽略开头的点，ext=jpg 和 ext=.jpg 相同
+
+const RE_TOKEN = /\s*(\(|\)|&&|\|\||>=|<=|!=|!~|=|~|>|<|!|"(?:[^"\\]|\\.)*"|'[^']*'|\[[^\]]*\]|[^\s()=<>!~"']+)/y
+
+const OPERATORS = ["=", "!=", ">", ">=", "<", "<=", "~", "!~"]
+
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 }
+// 码率按1000进位 500k 2M 2Mbps
+const BITRATE_UNITS = { k: 1000, m: 1000 ** 2, g: 1000 ** 3 }
+// 正则字面量 /pattern/flags
+const RE_REGEX_LITERAL = /^\/(.+)\/([dgimsuy]*)$/
+
+function tokenize(text) {
+    const tokens = []
+    RE_TOKEN.lastIndex = 0
+    let pos = 0
+    while (pos < text.length) {
+        if (!text.slice(pos).trim()) {
+            break
+        }
+        RE_TOKEN.lastIndex = pos
+        const m = RE_TOKEN.exec(text)
+        if (!m) {
+            throw new Error(`Invalid query near: ${text.slice(pos)}`)
+        }
+        let value = m[1]
+        const quoted = /^["']/.test(value)
+        if (quoted) {
+            value = value.slice(1, -1).replace(/\\(.)/g, '$1')
+        }
+        tokens.push({ value, quoted })
+        pos = RE_TOKEN.lastIndex
+    }
+    return tokens
+}
+
+function isKeyword(token, ...words) {
+    return token && !token.quoted && words.includes(token.value.toLowerCase())
+}
+
+// 解析表达式，返回语法树
+// { type: 'and'|'or', items: [] } { type: 'not', item } { type: 'cond', field, op, value }
+export function parseQuery(text, fields) {
+    const tokens = tokenize(String(text || ''))
+    if (tokens.length === 0) {
+        throw new Error('Empty query')
+    }
+    let i = 0
+    const peek = () => tokens[i]
+    const next = () => tokens[i++]
+
+    function parseOr() {
+        const items = [parseAnd()]
+        while (isKeyword(peek(), 'or', '||')) {
+            next()
+            items.push(parseAnd())
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items }
+    }
+
+    function parseAnd() {
+        const items = [parseNot()]
+        while (isKeyword(peek(), 'and', '&&')) {
+            next()
+            items.push(parseNot())
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items }
+    }
+
+    function parseNot() {
+        if (isKeyword(peek(), 'not', '!')) {
+            next()
+            return { type: 'not', item: parseNot() }
+        }
+        if (isKeyword(peek(), '(')) {
+            next()
+            const node = parseOr()
+            if (!isKeyword(next(), ')')) {
+                throw new Error(`Missing ')' in query: ${text}`)
+            }
+            return node
+        }
+        return parseCond()
+    }
+
+    function parseCond() {
+        const field = next()
+        const op = next()
+        const value = next()
+        if (isKeyword(op, 'in')) {
+            op.value = 'in'
+        }
+        if (!field || !op || !value || !(OPERATORS.includes(op.value) || op.value === 'in')) {
+            throw new Error(`Invalid condition near '${[field, op, value].filter(Boolean).map(t => t.value).join(' ')}', expect field op value`)
+        }
+        const name = field.value
+        if (fields && !fields[name]) {
+            throw new Error(`Unknown field '${name}', available: ${Object.keys(fields).join(',')}`)
+        }
+        return createCond(name, op.value, value.value, fields?.[name])
+    }
+
+    const node = parseOr()
+    if (i < tokens.length) {
+        throw new Error(`Unexpected '${peek().value}' in query: ${text}`)
+    }
+    return node
+}
+
+// 带单位的数字 10M 1.5G 90s 2m 30d
+// 时长由 helper.parseDuration 解析，单位 ms s m h d w y，其中 m 是分钟
+// 查询中的时长字段单位是秒，没有单位的数字也是秒
+export function parseNumber(value, kind) {
+    const text = String(value).trim()
+    if (kind === 'time' && !/^-?\d+(\.\d+)?$/.test(text)) {
+        try {
+            return helper.parseDuration(text) / 1000
+        } catch (error) {
+            return NaN
+        }
+    }
+    const m = /^(-?\d+(?:\.\d+)?)([a-z]*)$/i.exec(text)
+    if (!m) {
+        return NaN
+    }
+    const n = Number(m[1])
+    const unit = m[2].toLowerCase()
+    if (!unit) {
+        return n
+    }
+    const units = { size: SIZE_UNITS, bitrate: BITRATE_UNITS }[kind] || {}
+    // 10MB 10MiB 都按 10M 处理，2Mbps 按 2M 处理
+    const factor = units[unit] ?? units[unit.replace(/i?b$/, '').replace(/bps$/, '')]
+    return factor ? n * factor : NaN
+}
+
+function isNumberKind(kind) {
+    return ['number', 'size', 'time', 'bitrate'].includes(kind)
+}
+
+// kind: number size time bitrate date ext string
+function createCond(field, op, value, kind = 'string') {
+    const cond = { type: 'cond', field, op, value, kind }
+    if (op === 'in') {
+        if (!/^\[.*\]$/.test(value)) {
+            throw new Error(`Invalid list '${value}' for field '${field}', expect [a,b,c]`)
+        }
+        cond.list = argparser.parseArray(value).map(String).filter(Boolean).map(v => {
+            const n = isNumberKind(kind) ? parseNumber(v, kind) : v
+            if (Number.isNaN(n)) {
+                throw new Error(`Invalid number '${v}' for field '${field}'`)
+            }
+            return n
+        })
+    } else if (op === '~' || op === '!~') {
+        // 没有写成 /pattern/flags 时默认忽略大小写
+        const [, pattern, flags] = RE_REGEX_LITERAL.exec(value) || [null, value, 'i']
+        try {
+            cond.regex = new RegExp(pattern, flags)
+        } catch (error) {
+            throw new Error(`Invalid regex '${value}': ${error.message}`)
+        }
+    } else if (isNumberKind(kind)) {
+        cond.number = parseNumber(value, kind)
+        if (Number.isNaN(cond.number)) {
+            throw new Error(`Invalid number '${value}' for field '${field}'`)
+        }
+    }
+    return cond
+}
+
+function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0
+}
+
+function normalize(v, kind) {
+    const text = String(v).toLowerCase()
+    return kind === 'ext' ? text.replace(/^\./, '') : text
+}
+
+function testIn(cond, v) {
+    if (isNumberKind(cond.kind)) {
+        return cond.list.includes(Number(v))
+    }
+    if (cond.kind === 'date') {
+        return cond.list.some(d => String(v).startsWith(d))
+    }
+    return cond.list.some(item => normalize(item, cond.kind) === normalize(v, cond.kind))
+}
+
+function testCond(cond, obj) {
+    const v = obj[cond.field]
+    const missing = v === undefined || v === null || v === ''
+    if (cond.regex) {
+        // 带g或y标志的正则会记住位置，每次从头匹配
+        cond.regex.lastIndex = 0
+        const matched = !missing && cond.regex.test(String(v))
+        return cond.op === '~' ? matched : !matched
+    }
+    if (missing) {
+        return cond.op === '!='
+    }
+    if (cond.list) {
+        return testIn(cond, v)
+    }
+    let c
+    if (cond.number !== undefined) {
+        c = compare(Number(v), cond.number)
+    } else if (cond.kind === 'date') {
+        // 日期按前缀比较，2023-01 包含整个1月
+        c = compare(String(v).slice(0, cond.value.length), cond.value)
+    } else {
+        c = compare(normalize(v, cond.kind), normalize(cond.value, cond.kind))
+    }
+    switch (cond.op) {
+        case '=': return c === 0
+        case '!=': return c !== 0
+        case '>': return c > 0
+        case '>=': return c >= 0
+        case '<': return c < 0
+        case '<=': return c <= 0
+    }
+    return false
+}
+
+// 对象是否满足条件
+export function evaluate(node, obj) {
+    switch (node.type) {
+        case 'and': return node.items.every(n => evaluate(n, obj))
+        case 'or': return node.items.some(n => evaluate(n, obj))
+        case 'not': return !evaluate(node.item, obj)
+        default: return testCond(node, obj)
+    }
+}
+
+// 语法树转回文本，用于显示
+export function formatQuery(node) {
+    switch (node.type) {
+        case 'and': return node.items.map(n => n.type === 'or' ? `(${formatQuery(n)})` : formatQuery(n)).join(' and ')
+        case 'or': return node.items.map(formatQuery).join(' or ')
+        case 'not': return `not ${node.item.type === 'cond' ? formatQuery(node.item) : `(${formatQuery(node.item)})`}`
+        default: return node.list
+            ? `${node.field} in ${node.value}`
+            : `${node.field}${node.op}${/[\s()"'=<>!~]/.test(node.value) ? JSON.stringify(node.value) : node.value}`
+    }
+}
+
+// 表达式用到的字段，用于只读取需要的元数据
+export function queryFields(node, fields = new Set()) {
+    if (node.type === 'cond') {
+        fields.add(node.field)
+    } else {
+        (node.items || [node.item]).forEach(n => queryFields(n, fields))
+    }
+    return fields
+}
+
+function formatValue(v) {
+    if (v === undefined || v === null || v === '') {
+        return 'none'
+    }
+    return typeof v === 'number' ? String(Math.round(v * 100) / 100) : String(v)
+}
+
+// 计算结果并说明原因，每个条件后面显示实际值和结果
+// width<1200(800)✓ and not (name~/cover/i(a.jpg)✗)✓
+export function explain(node, obj) {
+    const mark = (ok) => ok ? '✓' : '✗'
+    switch (node.type) {
+        case 'and':
+        case 'or': {
+            const parts = node.items.map(n => {
+                const r = explain(n, obj)
+                return { ...r, text: n.type === 'or' || n.type === 'and' ? `(${r.text})` : r.text }
+            })
+            const matched = node.type === 'and' ? parts.every(p => p.matched) : parts.some(p => p.matched)
+            return { matched, text: parts.map(p => p.text).join(` ${node.type} `) }
+        }
+        case 'not': {
+            const r = explain(node.item, obj)
+            return { matched: !r.matched, text: `not (${r.text})${mark(!r.matched)}` }
+        }
+        default: {
+            const matched = testCond(node, obj)
+            return { matched, text: `${formatQuery(node)}(${formatValue(obj[node.field])})${mark(matched)}` }
+        }
+    }
+}
+
+// 编译为过滤函数
+export function compileQuery(text, fields) {
+    const node = parseQuery(text, fields)
+    return (obj) => evaluate(node, obj)
+}
@@ -0,0 +1,86 @@
+/*
+ * File: result.js
+ * Created: 2026-10-19 19:03:36 +0800
+ * Modified: 2026-10-19 19:03:36 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import dayjs from "dayjs"
+
+// 命令执行结果，--json 模式下命令结束时输出到标准输出，方便其它程序调用
+// {"command":"compress","ok":true,"dryRun":false,"aborted":false,"startedAt":"...","duration":1234,
+//  "counts":{"total":3,"ok":2,"failed":1},"size":1000,"dstSize":400,
+//  "items":[{"path":"...","dst":"...","status":"ok","size":500,"dstSize":200}],"errors":["..."]}
+// 每个命令记录自己处理的文件，status 一般为 ok failed skipped，verify 等命令有自己的状态
+// 测试模式不执行操作，将要处理的文件记录为 planned
+// 有失败的文件时 ok 为 false
+
+export const STATUS_OK = 'ok'
+export const STATUS_FAILED = 'failed'
+export const STATUS_SKIPPED = 'skipped'
+export const STATUS_PLANNED = 'planned'
+
+const state = {
+    command: null,
+    startMs: Date.now(),
+    fields: {},
+    items: [],
+    errors: [],
+}
+
+// 命令开始时调用，dryRun 只对有 --doit 参数的命令有意义
+export function begin(command, argv = {}) {
+    state.command = command || null
+    state.startMs = Date.now()
+    state.fields = { dryRun: argv.doit === undefined ? undefined : !argv.doit }
+    state.items = []
+    state.errors = []
+}
+
+// 设置额外的汇总字段，如 total aborted reportFile
+export function set(key, value) {
+    state.fields[key] = value
+}
+
+// 记录单个文件的处理结果 {path, dst, status, size, dstSize, error}
+export function addItem(item) {
+    state.items.push(item)
+    item.error && state.errors.push(`${item.path}: ${item.error}`)
+}
+
+// 测试模式下记录将要处理的文件
+export function addPlanned(item) {
+    addItem({ ...item, status: STATUS_PLANNED })
+}
+
+export function addError(message) {
+    state.errors.push(message)
+}
+
+function sumBy(items, key) {
+    return items.reduce((acc, item) => acc + (item[key] || 0), 0)
+}
+
+// 生成最终的结果对象，error 为命令异常退出的错误
+export function build(error) {
+    error && addError(error.message || String(error))
+    const counts = { total: state.fields.total ?? state.items.length }
+    state.items.forEach(item => counts[item.status] = (counts[item.status] || 0) + 1)
+    const { total, ...fields } = state.fields
+    const okItems = state.items.filter(item => item.status === STATUS_OK)
+    // 压缩和转换等命令有处理后的大小
+    const dstItems = okItems.filter(item => item.dstSize !== undefined)
+    return {
+        command: state.command,
+        ok: !error && !state.items.some(item => item.status === STATUS_FAILED),
+        ...fields,
+        startedAt: dayjs(state.startMs).format(),
+        duration: Date.now() - state.startMs,
+        counts,
+        size: sumBy(okItems, 'size'),
+        dstSize: dstItems.length > 0 ? sumBy(dstItems, 'dstSize') : undefined,
+        items: state.items,
+        errors: state.errors,
+    }
+}
@@ -0,0 +1,133 @@
+/*
+ * File: scrub.js
+ * Created: 2026-10-19 18:37:28 +0800
+ * Modified: 2026-10-19 18:37:28 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import path from 'path'
+import * as log from './debug.js'
+import * as exif from './exif.js'
+
+// 删除照片和视频中的隐私元数据，使用exiftool原地修改
+// 每个分组包含删除参数和匹配规则，匹配规则用于统计删除了哪些标签
+// 标签名格式为 Group0:Group1:TagName，如 EXIF:GPS:GPSLatitude
+
+export const SCRUB_GROUPS = {
+    // GPS位置和地点文字
+    gps: {
+        args: [
+            "-gps:all=",
+            "-xmp-exif:gps*=",
+            "-Keys:GPSCoordinates=",
+            "-UserData:GPSCoordinates=",
+            "-ItemList:GPSCoordinates=",
+            "-xmp-photoshop:City=",
+            "-xmp-photoshop:State=",
+            "-xmp-photoshop:Country=",
+            "-xmp-iptcCore:Location=",
+            "-iptc:City=",
+            "-iptc:Sub-location=",
+            "-iptc:Province-State=",
+            "-iptc:Country-PrimaryLocationName=",
+        ],
+        match: /:GPS:|:GPS[^:]*$|:(City|State|Country|Location|Sub-location|Province-State|Country-PrimaryLocationName)$/,
+    },
+    // 机身和镜头序列号
+    serial: {
+        args: [
+            "-SerialNumber=",
+            "-InternalSerialNumber=",
+            "-BodySerialNumber=",
+            "-LensSerialNumber=",
+            "-CameraSerialNumber=",
+            "-ImageUniqueID=",
+        ],
+        match: /^(?!MakerNotes:).*(SerialNumber|:ImageUniqueID)$/,
+    },
+    // 作者和版权信息
+    owner: {
+        args: [
+            "-OwnerName=",
+            "-CameraOwnerName=",
+            "-Artist=",
+            "-XPAuthor=",
+            "-Copyright=",
+            "-xmp-dc:Creator=",
+            "-xmp-dc:Rights=",
+            "-iptc:By-line=",
+            "-iptc:CopyrightNotice=",
+            "-PNG:Author=",
+            "-QuickTime:Author=",
+            "-QuickTime:Artist=",
+        ],
+        match: /^(?!MakerNotes:).*:(OwnerName|CameraOwnerName|Artist|XPAuthor|Copyright|Creator|Rights|By-line|CopyrightNotice|Author)$/,
+    },
+    // 厂商私有数据，通常包含序列号等
+    makernotes: {
+        args: ["-makernotes:all="],
+        match: /^MakerNotes:/,
+    },
+    // 编辑软件的修改历史
+    history: {
+        args: ["-xmp-xmpMM:all=", "-xmp-photoshop:DocumentAncestors="],
+        match: /:XMP-xmpMM:|:DocumentAncestors$/,
+    },
+}
+
+export const SCRUB_GROUP_NAMES = Object.keys(SCRUB_GROUPS)
+
+// exiftool 支持原地写入的格式
+export const SCRUB_EXTENSIONS = [".jpg", ".jpeg", ".heic", ".heif", ".png", ".mp4", ".mov", ".m4v"]
+
+// 这些分组是文件属性或计算得到的值，不是文件中的标签
+const IGNORE_GROUPS = ["ExifTool", "File", "System", "Composite"]
+
+export function isScrubSupported(filename) {
+    return SCRUB_EXTENSIONS.includes(path.extname(filename).toLowerCase())
+}
+
+// 检查分组名，返回有效的分组列表，无效时抛出异常
+export function checkGroups(groups) {
+    if (!groups || groups.length === 0) {
+        return SCRUB_GROUP_NAMES
+    }
+    groups = [...new Set(groups.flatMap(g => String(g).split(',')).map(g => g.trim().toLowerCase()).filter(Boolean))]
+    const invalid = groups.filter(g => !SCRUB_GROUPS[g])
+    if (invalid.length > 0) {
+        throw new Error(`Invalid scrub groups: ${invalid}, available: ${SCRUB_GROUP_NAMES}`)
+    }
+    return groups
+}
+
+// 读取文件中的标签名列表 Group0:Group1:TagName
+async function readTagNames(filename) {
+    const raw = await exif.readRawTags(filename, ["-G0:1", "-a"])
+    return Object.keys(raw).filter(k => k.includes(':') && !IGNORE_GROUPS.includes(k.split(':')[0]))
+}
+
+// 文件中属于指定分组的标签，返回 { group: [tagName] }
+export async function findScrubTags(filename, groups = SCRUB_GROUP_NAMES) {
+    const names = await readTagNames(filename)
+    const result = {}
+    for (const g of groups) {
+        const matched = names.filter(n => SCRUB_GROUPS[g].match.test(n))
+        if (matched.length > 0) {
+            result[g] = matched
+        }
+    }
+    return result
+}
+
+// 删除指定分组的标签，原地修改文件
+// 返回实际删除的标签名列表，通过比较修改前后的标签得到
+export async function scrubFile(filename, groups = SCRUB_GROUP_NAMES) {
+    const before = await readTagNames(filename)
+    const args = groups.flatMap(g => SCRUB_GROUPS[g].args).concat("-overwrite_original")
+    await exif.writeTags(filename, {}, args)
+    const after = new Set(await readTagNames(filename))
+    const removed = before.filter(n => !after.has(n))
+    log.info('Scrub', `${filename} removed ${removed.length} tags: ${removed}`)
+    return removed
+}
@@ -6,3 +6,12 @@
  * License: Apache License 2.0
  */
 
+import os from 'os'
+import path from "path"
+
+// mediac 数据目录，保存操作日志等持久数据
+// 可以使用环境变量 MEDIAC_DATA_DIR 指定
+export function getDataDir(...subDirs) {
+    const root = process.env.MEDIAC_DATA_DIR || path.join(os.homedir(), '.mediac')
+    return path.resolve(path.join(root, ...subDirs))
+}
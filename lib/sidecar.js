@@ -0,0 +1,129 @@
+/*
+ * File: sidecar.js
+ * Created: 2026-10-19 18:28:23 +0800
+ * Modified: 2026-10-19 18:28:23 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import fs from 'fs-extra'
+import path from "path"
+import * as log from './debug.js'
+import * as helper from './helper.js'
+
+// 伴随文件分组，重命名和移动时和主文件一起处理，使用相同的基本名
+// DSC01234.ARW 主文件
+// DSC01234.JPG RAW+JPEG 同时拍摄的JPEG，使用RAW的文件名
+// DSC01234.xmp DSC01234.ARW.xmp 编辑软件的XMP文件
+// IMG_1234.AAE iPhone 编辑记录
+// GX010123.THM GL010123.LRV GoPro 缩略图和低码率视频
+// IMG_1234.JPG.json Google Takeout 元数据
+// 伴随文件的目标路径 = 主文件新的基本名 + 伴随文件后缀
+
+export const SIDECAR_EXTS = [".xmp", ".aae", ".thm", ".lrv", ".json"]
+
+export function isSidecarFile(filename) {
+    return SIDECAR_EXTS.includes(helper.pathExt(filename, true))
+}
+
+// GoPro 低码率视频文件名 GL010123.LRV 对应 GX010123.MP4 或 GH010123.MP4
+function goproLrvBase(base) {
+    const m = /^G[HX](\d{6})$/i.exec(base)
+    return m && `GL${m[1]}`
+}
+
+// 判断文件名是否是主文件的伴随文件，返回后缀，如 .xmp .JPG.json
+// exts 是主文件和配对JPEG的扩展名
+function matchSidecar(name, base, exts) {
+    const lowerName = name.toLowerCase()
+    const lowerBase = base.toLowerCase()
+    if (lowerName.startsWith(lowerBase + '.')) {
+        const suffix = name.slice(base.length)
+        const lowerSuffix = suffix.toLowerCase()
+        // DSC01234.xmp
+        if (SIDECAR_EXTS.includes(lowerSuffix)) {
+            return suffix
+        }
+        // DSC01234.ARW.xmp IMG_1234.JPG.json IMG_1234.JPG.supplemental-metadata.json
+        if (isSidecarFile(name) && exts.some(ext => lowerSuffix.startsWith(ext.toLowerCase() + '.'))) {
+            return suffix
+        }
+    }
+    const lrvBase = goproLrvBase(base)
+    if (lrvBase && lowerName === `${lrvBase}.lrv`.toLowerCase()) {
+        return path.extname(name)
+    }
+}
+
+// RAW+JPEG 配对，同一目录同名的RAW和图片，以RAW为主文件
+function findPairs(files) {
+    const raws = new Map()
+    for (const f of files) {
+        if (helper.isRawFile(f.path)) {
+            const [dir, base] = helper.pathSplit(f.path)
+            raws.set(path.join(dir, base).toLowerCase(), f)
+        }
+    }
+    const pairs = new Map()
+    for (const f of files) {
+        if (helper.isImageFile(f.path)) {
+            const [dir, base] = helper.pathSplit(f.path)
+            const raw = raws.get(path.join(dir, base).toLowerCase())
+            raw && pairs.set(f.path, raw)
+        }
+    }
+    return pairs
+}
+
+// 为每个主文件查找伴随文件，添加 sidecars 属性 [{path, suffix}]
+// 被归入分组的伴随文件和配对JPEG从返回列表中移除
+export async function groupSidecars(files) {
+    const pairs = findPairs(files)
+    const attached = new Set()
+    const dirCache = new Map()
+    const listDir = async (dir) => {
+        if (!dirCache.has(dir)) {
+            dirCache.set(dir, await fs.readdir(dir).catch(() => []))
+        }
+        return dirCache.get(dir)
+    }
+    for (const f of files) {
+        f.sidecars = []
+    }
+    for (const [jpgPath, raw] of pairs) {
+        raw.sidecars.push({ path: jpgPath, suffix: path.extname(jpgPath) })
+        attached.add(jpgPath)
+    }
+    for (const f of files) {
+        if (attached.has(f.path) || !helper.isMediaFile(f.path)) {
+            continue
+        }
+        const [dir, base, ext] = helper.pathSplit(f.path)
+        const exts = [ext, ...f.sidecars.map(sc => sc.suffix)]
+        for (const name of await listDir(dir)) {
+            const scPath = path.join(dir, name)
+            if (scPath === f.path || attached.has(scPath) || helper.isMediaFile(name)) {
+                continue
+            }
+            const suffix = matchSidecar(name, base, exts)
+            if (suffix) {
+                f.sidecars.push({ path: scPath, suffix })
+                attached.add(scPath)
+            }
+        }
+    }
+    const results = files.filter(f => !attached.has(f.path))
+    const count = results.reduce((n, f) => n + f.sidecars.length, 0)
+    count > 0 && log.show('Sidecar', `${count} sidecar files grouped with ${results.filter(f => f.sidecars.length > 0).length} files`)
+    return results
+}
+
+// 伴随文件的源路径和目标路径列表，dstPath 是主文件的目标路径
+// 主文件只移动不改名时，伴随文件保留原文件名，如 GL010123.LRV
+export function sidecarTargets(f, dstPath) {
+    const dstDir = path.dirname(dstPath)
+    const dstBase = path.basename(dstPath, path.extname(dstPath))
+    const srcBase = path.basename(f.path, path.extname(f.path))
+    return (f.sidecars || []).map(sc => [sc.path,
+    path.join(dstDir, dstBase === srcBase ? path.basename(sc.path) : dstBase + sc.suffix)])
+}
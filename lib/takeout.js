@@ -0,0 +1,96 @@
+/*
+ * File: takeout.js
+ * Created: 2026-10-19 18:30:25 +0800
+ * Modified: 2026-10-19 18:30:25 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import fs from 'fs-extra'
+import path from "path"
+import * as log from './debug.js'
+
+// Google Photos Takeout 导出的媒体文件，EXIF日期和GPS被移到JSON文件
+// JSON 文件名规则
+// IMG_1234.JPG => IMG_1234.JPG.json
+// IMG_1234(1).JPG => IMG_1234.JPG(1).json 重复文件的序号在扩展名后面
+// IMG_1234-edited.JPG => IMG_1234.JPG.json 编辑过的文件使用原始文件的JSON
+// 新版导出 IMG_1234.JPG.supplemental-metadata.json
+// JSON 文件名（不含.json）最长46个字符，超出部分被截断
+// VeryLongFileName_xxxxxxxxxxxxxxxxxxxxxxxxxxxxxx.jpg => VeryLongFileName_xxxxxxxxxxxxxxxxxxxxxxxxxxxxx.json
+
+const NAME_MAX_LENGTH = 46
+const SUPPLEMENTAL = ".supplemental-metadata"
+// 编辑过的文件后缀，不同语言的导出不一样
+const EDITED_SUFFIXES = ["-edited", "-bearbeitet", "-modifié", "-已修改"]
+
+function jsonName(stem, dup = "") {
+    return stem.slice(0, NAME_MAX_LENGTH) + dup + ".json"
+}
+
+// 媒体文件可能对应的JSON文件名，按优先级排列
+export function takeoutJsonNames(filename) {
+    const ext = path.extname(filename)
+    let base = path.basename(filename, ext)
+    for (const suffix of EDITED_SUFFIXES) {
+        if (base.toLowerCase().endsWith(suffix)) {
+            base = base.slice(0, -suffix.length)
+            break
+        }
+    }
+    // IMG_1234(1) => IMG_1234 + (1)
+    const m = /^(.*)(\(\d+\))$/.exec(base)
+    const [stem, dup] = m ? [m[1], m[2]] : [base, ""]
+    const names = [
+        jsonName(stem + ext, dup),
+        jsonName(stem + ext + SUPPLEMENTAL, dup),
+        jsonName(stem, dup),
+    ]
+    // 有些重复文件序号保留在原位置 IMG_1234(1).JPG.json
+    if (dup) {
+        names.push(jsonName(base + ext))
+    }
+    return [...new Set(names)]
+}
+
+// 查找媒体文件对应的JSON文件，dirNames 为目录文件名的小写映射
+export function findTakeoutJson(filePath, dirNames) {
+    const dir = path.dirname(filePath)
+    for (const name of takeoutJsonNames(path.basename(filePath))) {
+        const realName = dirNames.get(name.toLowerCase())
+        if (realName) {
+            return path.join(dir, realName)
+        }
+    }
+}
+
+function toNumber(value) {
+    const n = Number(value)
+    return Number.isFinite(n) ? n : undefined
+}
+
+// 读取JSON元数据，返回 { title, date, lat, lon, alt }
+// 经纬度都为0表示没有位置信息
+export async function readTakeoutJson(jsonPath) {
+    try {
+        const data = await fs.readJson(jsonPath)
+        const ts = toNumber(data.photoTakenTime?.timestamp) || toNumber(data.creationTime?.timestamp)
+        const meta = {
+            title: data.title,
+            date: ts ? new Date(ts * 1000) : undefined,
+        }
+        for (const geo of [data.geoDataExif, data.geoData]) {
+            const lat = toNumber(geo?.latitude)
+            const lon = toNumber(geo?.longitude)
+            if (lat !== undefined && lon !== undefined && (lat !== 0 || lon !== 0)) {
+                meta.lat = lat
+                meta.lon = lon
+                meta.alt = toNumber(geo.altitude)
+                break
+            }
+        }
+        return meta
+    } catch (error) {
+        log.warn('Takeout', `invalid json: ${jsonPath}`, error.message)
+    }
+}
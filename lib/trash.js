@@ -0,0 +1,127 @@
+/*
+ * File: trash.js
+ * Created: 2026-10-19 18:52:53 +0800
+ * Modified: 2026-10-19 18:52:53 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import { writeFile } from 'atomically'
+import dayjs from "dayjs"
+import fs from 'fs-extra'
+import path from "path"
+import * as log from './debug.js'
+
+// 安全删除的回收站，每个磁盘根目录下一个，保持原有目录结构
+// <root>/Deleted_By_Mediac/<YYYYMMDD>/<原始路径>
+// 每天的目录中有清单文件，每行记录一个删除的文件或目录，用于列出和恢复
+// {"src":"原始路径","dst":"回收站中的路径","size":123,"mtime":1712345678901,"isDir":false,"time":"..."}
+// 没有清单的旧目录，根据回收站中的路径推算原始位置
+
+export const TRASH_DIR_NAME = 'Deleted_By_Mediac'
+export const MANIFEST_NAME = '.mediac_trash.jsonl'
+
+const RE_DAY_DIR = /^\d{8}$/
+
+// 文件所在磁盘的回收站目录
+export function getTrashDir(filepath) {
+    return path.join(path.parse(path.resolve(filepath)).root, TRASH_DIR_NAME)
+}
+
+// 当天的回收站目录
+export function getTrashDayDir(filepath) {
+    return path.join(getTrashDir(filepath), dayjs().format("YYYYMMDD"))
+}
+
+// 记录一次安全删除，失败不影响删除本身
+export async function recordTrash(dayDir, item) {
+    try {
+        const line = { ...item, time: dayjs().format() }
+        await fs.appendFile(path.join(dayDir, MANIFEST_NAME), JSON.stringify(line) + '\n', { encoding: 'utf-8' })
+    } catch (error) {
+        log.warn('Trash', `manifest failed: <${item.src}>`, error.message)
+    }
+}
+
+// 回收站中按日期分的目录，最早的在前
+export async function listTrashDays(trashDir) {
+    if (!await fs.pathExists(trashDir)) {
+        return []
+    }
+    const entries = await fs.readdir(trashDir, { withFileTypes: true })
+    return entries.filter(e => e.isDirectory() && RE_DAY_DIR.test(e.name))
+        .map(e => ({ name: e.name, path: path.join(trashDir, e.name), date: dayjs(e.name) }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+async function readManifest(dayDir) {
+    const manifest = path.join(dayDir, MANIFEST_NAME)
+    if (!await fs.pathExists(manifest)) {
+        return []
+    }
+    const content = await fs.readFile(manifest, 'utf-8')
+    const items = []
+    for (const line of content.split(/\r?\n/).filter(x => x.trim())) {
+        try {
+            items.push(JSON.parse(line))
+        } catch (error) {
+            log.warn('Trash', `invalid manifest line in ${manifest}`)
+        }
+    }
+    return items
+}
+
+// 没有清单记录的文件，去掉回收站目录部分得到原始路径
+// safeRemove 重名时放在 _ 子目录中，原始路径需要去掉
+function guessSource(dayDir, filepath) {
+    const parts = path.relative(dayDir, filepath).split(path.sep)
+    if (parts.length > 1 && parts[parts.length - 2] === '_') {
+        parts.splice(parts.length - 2, 1)
+    }
+    return path.join(path.parse(dayDir).root, ...parts)
+}
+
+// 读取一天的回收站内容，清单中已不存在的条目忽略
+// 返回 [{src, dst, size, mtime, isDir, time, day, legacy}]
+export async function readTrashItems(day) {
+    const items = []
+    const known = new Set()
+    for (const item of await readManifest(day.path)) {
+        if (known.has(item.dst) || !await fs.pathExists(item.dst)) {
+            continue
+        }
+        known.add(item.dst)
+        items.push({ ...item, day: day.name, legacy: false })
+    }
+    // 清单之外的文件，如旧版本删除的文件
+    const walk = async (dir) => {
+        for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+            const p = path.join(dir, entry.name)
+            if (known.has(p) || (dir === day.path && entry.name === MANIFEST_NAME)) {
+                continue
+            }
+            if (entry.isDirectory()) {
+                await walk(p)
+            } else {
+                const st = await fs.stat(p)
+                items.push({
+                    src: guessSource(day.path, p), dst: p, size: st.size, mtime: st.mtimeMs,
+                    isDir: false, time: dayjs(st.mtime).format(), day: day.name, legacy: true,
+                })
+            }
+        }
+    }
+    await walk(day.path)
+    return items
+}
+
+// 恢复后从清单中删除这些条目
+export async function removeManifestItems(dayDir, dsts) {
+    const manifest = path.join(dayDir, MANIFEST_NAME)
+    const items = await readManifest(dayDir)
+    if (items.length === 0) {
+        return
+    }
+    const rest = items.filter(item => !dsts.has(item.dst))
+    await writeFile(manifest, rest.map(item => JSON.stringify(item) + '\n').join(''), { encoding: 'utf-8' })
+}
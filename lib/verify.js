@@ -0,0 +1,188 @@
+/*
+ * File: verify.js
+ * Created: 2026-10-19 18:50:46 +0800
+ * Modified: 2026-10-19 18:50:46 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import { execa } from 'execa'
+import { fileTypeFromFile } from 'file-type'
+import fs from 'fs-extra'
+import sharp from "sharp"
+import * as unzipper from 'unzipper'
+import which from 'which'
+import * as log from './debug.js'
+import * as helper from './helper.js'
+import { FFMPEG_BINARY, getMediaInfo } from './mediainfo.js'
+
+// 文件完整性检查，用于查找损坏的图片、视频、音频和压缩包
+// quick 快速检查，和 remove --corrupted 原有规则相同
+//   文件太小，图片和压缩包无法识别文件头，媒体文件没有时长和码率
+// deep 完整解码，可以发现下载不完整或截断的文件
+//   图片用sharp完整解码，警告也算错误，如 JPEG 的 premature end of data
+//   视频和音频用 ffmpeg -v error -f null - 解码，有错误输出就算损坏
+//   ZIP 解压所有条目并校验CRC
+
+// 检查结果状态
+export const STATUS_OK = 'ok'
+export const STATUS_ERROR = 'error'
+// 缺少工具或格式不支持，无法检查
+export const STATUS_SKIPPED = 'skipped'
+
+// 错误类型
+export const CATEGORIES = {
+    'too-small': 'file size too small',
+    'bad-header': 'unknown file format or bad header',
+    'no-duration': 'media without duration or bitrate',
+    'truncated': 'file truncated or incomplete',
+    'decode-error': 'decode failed',
+    'crc-error': 'archive entry crc mismatch',
+    'archive-error': 'archive structure broken',
+    'read-error': 'file read failed',
+    'unsupported': 'format not supported or tool not found',
+}
+
+// 小于这个大小的媒体文件认为是损坏的
+const MIN_FILE_SIZE = 5 * 1024
+// 错误信息中包含这些文字的认为是文件不完整
+const RE_TRUNCATED = /premature end|truncat|file_ended|unexpected end|end of file|partial file|moov atom not found|corrupt .*eof|not enough data/i
+
+const HAS_FFMPEG_EXE = await which(FFMPEG_BINARY, { nothrow: true })
+
+function result(filePath, status, category, message) {
+    return { path: filePath, status, category, message }
+}
+
+function errorCategory(message) {
+    return RE_TRUNCATED.test(message) ? 'truncated' : 'decode-error'
+}
+
+// 检查单个文件，返回 { path, status, category, message }
+// options.deep 是否完整解码
+export async function verifyFile(filePath, options = {}) {
+    try {
+        const st = await fs.stat(filePath)
+        const isImage = helper.isImageFile(filePath)
+        const isRaw = helper.isRawFile(filePath)
+        const isMedia = helper.isVideoFile(filePath) || helper.isAudioFile(filePath)
+        const isArchive = helper.isArchiveFile(filePath)
+        if (!isImage && !isRaw && !isMedia && !isArchive) {
+            return result(filePath, STATUS_SKIPPED, 'unsupported', 'unknown file type')
+        }
+        if (st.size < MIN_FILE_SIZE) {
+            return result(filePath, STATUS_ERROR, 'too-small', `size ${st.size} < ${MIN_FILE_SIZE}`)
+        }
+        if (isMedia) {
+            return await verifyMedia(filePath, options)
+        }
+        // file-type库支持格式不全，但可用于图片和压缩包文件头判断
+        const ft = await fileTypeFromFile(filePath)
+        if (!ft?.mime) {
+            return result(filePath, STATUS_ERROR, 'bad-header', 'file type not detected')
+        }
+        if (!options.deep) {
+            return result(filePath, STATUS_OK)
+        }
+        if (isImage) {
+            return await verifyImage(filePath)
+        }
+        if (ft.ext === 'zip') {
+            return await verifyZip(filePath)
+        }
+        // RAW和其它压缩格式只能检查文件头
+        return result(filePath, STATUS_OK, undefined, 'header only')
+    } catch (error) {
+        return result(filePath, STATUS_ERROR, 'read-error', error.message)
+    }
+}
+
+// 完整解码图片，failOn warning 让截断的JPEG也报错
+async function verifyImage(filePath) {
+    try {
+        await sharp(filePath, { failOn: 'warning', sequentialRead: true }).stats()
+        return result(filePath, STATUS_OK)
+    } catch (error) {
+        const message = error.message.split('\n')[0]
+        // 预编译的sharp不支持HEIC等格式
+        if (/unsupported|no decode|not a known file format/i.test(message)) {
+            return result(filePath, STATUS_SKIPPED, 'unsupported', message)
+        }
+        return result(filePath, STATUS_ERROR, errorCategory(error.message), message)
+    }
+}
+
+// 视频和音频先读取媒体信息，deep 模式再用ffmpeg完整解码
+async function verifyMedia(filePath, options) {
+    let info
+    try {
+        info = await getMediaInfo(filePath)
+    } catch (error) {
+        // ffprobe和mediainfo都不存在
+        return result(filePath, STATUS_SKIPPED, 'unsupported', error.message)
+    }
+    // 正常的多媒体文件有这两个字段
+    if (!info?.duration || !info?.bitrate) {
+        return result(filePath, STATUS_ERROR, 'no-duration', info?.format || 'unknown format')
+    }
+    if (!options.deep) {
+        return result(filePath, STATUS_OK)
+    }
+    if (!HAS_FFMPEG_EXE) {
+        return result(filePath, STATUS_SKIPPED, 'unsupported', 'ffmpeg not found')
+    }
+    const args = ['-hide_banner', '-nostdin', '-v', 'error', '-i', filePath, '-f', 'null', '-']
+    const { exitCode, stderr } = await execa(FFMPEG_BINARY, args, { reject: false })
+    const errors = String(stderr || '').split(/\r?\n/).filter(Boolean)
+    if (exitCode !== 0 || errors.length > 0) {
+        const message = errors.slice(0, 3).join(' | ') || `ffmpeg exit code ${exitCode}`
+        return result(filePath, STATUS_ERROR, errorCategory(errors.join('\n')), message)
+    }
+    return result(filePath, STATUS_OK)
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    return c >>> 0
+})
+
+function crc32Update(crc, data) {
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+    }
+    return crc
+}
+
+// 解压ZIP所有条目到内存流，校验CRC，不写入磁盘
+async function verifyZip(filePath) {
+    let directory
+    try {
+        directory = await unzipper.Open.file(filePath)
+    } catch (error) {
+        // 找不到中央目录，一般是下载不完整
+        return result(filePath, STATUS_ERROR, errorCategory(error.message) === 'truncated' ? 'truncated' : 'archive-error', error.message)
+    }
+    for (const entry of directory.files) {
+        // 加密的条目无法校验
+        if (entry.type === 'Directory' || (entry.flags & 0x1)) {
+            continue
+        }
+        try {
+            let crc = 0xffffffff
+            for await (const chunk of entry.stream()) {
+                crc = crc32Update(crc, chunk)
+            }
+            crc = (crc ^ 0xffffffff) >>> 0
+            if (crc !== entry.crc32 >>> 0) {
+                return result(filePath, STATUS_ERROR, 'crc-error', `${entry.path} crc ${crc.toString(16)} != ${(entry.crc32 >>> 0).toString(16)}`)
+            }
+        } catch (error) {
+            return result(filePath, STATUS_ERROR, 'archive-error', `${entry.path}: ${error.message}`)
+        }
+    }
+    log.debug('verifyZip', filePath, `${directory.files.length} entries ok`)
+    return result(filePath, STATUS_OK)
+}
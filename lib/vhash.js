@@ -0,0 +1,141 @@
+/*
+ * File: vhash.js
+ * Created: 2026-10-19 18:45:45 +0800
+ * Modified: 2026-10-19 18:45:45 +0800
+ * Author: mcxiaoke (github@mcxiaoke.com)
+ * License: Apache License 2.0
+ */
+
+import { execa } from 'execa'
+import which from 'which'
+import * as log from './debug.js'
+import * as helper from './helper.js'
+import * as cache from './meta_cache.js'
+import { FFMPEG_BINARY, getMediaInfo } from './mediainfo.js'
+import { dHash, hammingDistance, SIMILAR_THRESHOLD } from './phash.js'
+
+// 相似视频，用于查找同一段视频的重新编码或重新封装版本
+// 例如原始文件和 ffmpeg 命令输出的 [SHANA] 文件
+// 在固定的相对位置截取几帧，分别计算dHash，所有帧的哈希连接为视频哈希
+// 时长接近并且平均每帧的汉明距离不超过阈值，认为是相似视频
+
+// 截取帧的相对位置，避开开头和结尾的黑屏和片头片尾
+const FRAME_POSITIONS = [0.1, 0.3, 0.5, 0.7, 0.9]
+// 时长允许的误差，秒和比例取较大值，重新封装可能有几帧误差
+const DURATION_TOLERANCE_SECONDS = 1
+const DURATION_TOLERANCE_RATIO = 0.01
+
+const HAS_FFMPEG_EXE = await which(FFMPEG_BINARY, { nothrow: true })
+
+// 截取指定时间的一帧，返回PNG图片Buffer
+async function extractFrame(filePath, seconds) {
+    const args = ['-v', 'error', '-ss', seconds.toFixed(3), '-i', filePath,
+        '-frames:v', '1', '-vf', 'scale=160:-2', '-f', 'image2pipe', '-vcodec', 'png', '-']
+    const { stdout } = await execa(FFMPEG_BINARY, args, { encoding: 'buffer' })
+    if (!stdout || stdout.length === 0) {
+        throw new Error(`no frame at ${seconds}s`)
+    }
+    return stdout
+}
+
+// 读取视频信息和各帧哈希，优先使用缓存
+export async function videoHash(filePath) {
+    return await cache.cached('vhash', filePath, async (fp) => {
+        const info = await getMediaInfo(fp)
+        const duration = Number(info?.duration)
+        if (!(duration > 0) || !info?.video) {
+            throw new Error('invalid video or no duration')
+        }
+        const hashes = []
+        for (const pos of FRAME_POSITIONS) {
+            hashes.push(await dHash(await extractFrame(fp, duration * pos)))
+        }
+        return {
+            hash: hashes.join(''),
+            frames: hashes.length,
+            duration,
+            width: info.video.width,
+            height: info.video.height,
+            bitrate: Number(info.bitrate) || Number(info.video.bitrate) || 0,
+            vcodec: info.video.format,
+        }
+    })
+}
+
+function durationClose(a, b) {
+    const tolerance = Math.max(DURATION_TOLERANCE_SECONDS, Math.max(a, b) * DURATION_TOLERANCE_RATIO)
+    return Math.abs(a - b) <= tolerance
+}
+
+// 两个视频的平均每帧汉明距离
+export function frameDistance(a, b) {
+    return hammingDistance(a.hash, b.hash) / Math.max(1, a.frames)
+}
+
+// 图片为汉明距离，视频为平均每帧的距离，保留一位小数
+export function similarDistance(a, b) {
+    return b.frames ? Math.round(frameDistance(a, b) * 10) / 10 : hammingDistance(a.hash, b.hash)
+}
+
+// 按时长排序，只比较时长接近的视频，相似的归为一组
+// 和图片相同，相似关系可以传递，删除时只删除和保留文件距离不超过阈值的成员
+export function clusterVideos(items, threshold = SIMILAR_THRESHOLD) {
+    const sorted = [...items].sort((a, b) => a.duration - b.duration)
+    const parent = sorted.map((_, i) => i)
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]]
+            i = parent[i]
+        }
+        return i
+    }
+    for (let i = 0; i < sorted.length; i++) {
+        for (let j = i + 1; j < sorted.length && durationClose(sorted[i].duration, sorted[j].duration); j++) {
+            if (sorted[i].frames === sorted[j].frames && frameDistance(sorted[i], sorted[j]) <= threshold) {
+                const [a, b] = [find(i), find(j)]
+                if (a !== b) {
+                    parent[a] = b
+                }
+            }
+        }
+    }
+    const groups = new Map()
+    sorted.forEach((item, i) => {
+        const root = find(i)
+        if (!groups.has(root)) {
+            groups.set(root, [])
+        }
+        groups.get(root).push(item)
+    })
+    return [...groups.values()].filter(g => g.length > 1)
+}
+
+// 查找相似视频，files 为 mf.walk 返回的文件列表，threshold 为平均每帧的汉明距离
+// 返回相似视频组，每个文件添加 hash duration width height bitrate vcodec 字段
+export async function findSimilarVideos(files, threshold = SIMILAR_THRESHOLD) {
+    const logTag = 'SimilarVideo'
+    const videos = files.filter(f => helper.isVideoFile(f.path))
+    if (videos.length === 0) {
+        return []
+    }
+    if (!HAS_FFMPEG_EXE) {
+        log.showYellow(logTag, `ffmpeg not found, ${videos.length} videos skipped`)
+        return []
+    }
+    const startMs = Date.now()
+    const items = []
+    // ffmpeg 本身是多线程的，逐个处理
+    for (const [i, f] of videos.entries()) {
+        try {
+            items.push({ ...f, ...await videoHash(f.path) })
+            log.info(logTag, `${i + 1}/${videos.length} ${helper.pathShort(f.path)}`)
+        } catch (error) {
+            log.warn(logTag, `hash failed: ${helper.pathShort(f.path)}`, error.message)
+        }
+        (i + 1) % 100 === 0 && log.show(logTag, `${i + 1}/${videos.length} videos hashed`)
+    }
+    log.show(logTag, `${items.length}/${videos.length} videos hashed in ${helper.humanTime(startMs)}`)
+    const groups = clusterVideos(items, threshold)
+    log.show(logTag, `${groups.flat().length} videos in ${groups.length} similar groups (threshold=${threshold})`)
+    return groups
+}
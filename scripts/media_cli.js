@@ -9,10 +9,8 @@
 
 import assert from "assert"
 import chalk from 'chalk'
-import dayjs from "dayjs"
 import EventEmitter from 'events'
 import fs from 'fs-extra'
-import inquirer from "inquirer"
 import { cpus } from "os"
 import pMap from 'p-map'
 import path from "path"
@@ -23,6 +21,11 @@ import * as log from '../lib/debug.js'
 import * as exif from '../lib/exif.js'
 import * as mf from '../lib/file.js'
 import * as helper from '../lib/helper.js'
+import * as journal from '../lib/journal.js'
+import * as result from '../lib/result.js'
+import * as dateRules from '../lib/date_rules.js'
+import * as cache from '../lib/meta_cache.js'
+import { confirm, setPromptOptions } from '../lib/prompt.js'
 
 
 // fix max listeners
@@ -35,9 +38,32 @@ const configCli = (argv) => {
   delete argv.$0
   // log.setName("MediaCli");
   log.setVerbose(argv.verbose)
+  // 操作日志文件名使用命令名称
+  journal.setCommand(argv._?.[0], typeof argv.input === 'string' ? path.resolve(argv.input) : null)
+  result.begin(argv._?.[0], argv)
   log.debug(argv)
 }
 
+// 配置元数据缓存
+const configCache = async (argv) => {
+  cache.setCacheOptions({ enabled: argv.cache, refresh: argv.refreshCache })
+  if (argv.clearCache) {
+    await cache.clearCache()
+  }
+}
+
+// 自定义拍摄日期选择规则文件，优先于默认规则
+const configDateRules = async (argv) => {
+  if (argv.dateRules) {
+    dateRules.setUserRules(await dateRules.loadRulesFile(path.resolve(argv.dateRules)))
+  }
+}
+
+// 非交互模式和次要问题的策略
+const configPrompt = (argv) => {
+  setPromptOptions(argv)
+}
+
 // exitHook(signal => {
 //   console.log(`Exiting with signal: ${signal}, kill ffmpeg`)
 //   helper.killProcessSync('ffmpeg')
@@ -53,6 +79,9 @@ async function main() {
   // 命令行参数解析
   // const ya = yargs(process.argv.slice(2));
   // https://github.com/yargs/yargs/blob/master/docs/advanced.md
+  // JSON模式需要在解析参数前设置，分隔线和参数错误也输出到标准错误
+  const jsonMode = process.argv.slice(2).includes('--json')
+  log.setJsonMode(jsonMode)
   const ya = yargs(process.argv.slice(2))
   ya.usage("Usage: $0 <command> <input> [options]")
     // .positional("input", {
@@ -80,23 +109,8 @@ async function main() {
     // 默认按照EXIF拍摄日期重命名，可提供自定义模板
     .command(await import('../cmd/cmd_dcim.js'))
     // 命令 分类图片文件
-    // 按照文件类型，图片或视频，分类整理
-    // 按照EXIF拍摄日期的年份和月份整理图片
-    .command(
-      ["organize <input> [output]", "oz"],
-      "Organize pictures by file modified date",
-      (ya) => {
-        ya.option("day", {
-          // 按天创建文件夹
-          alias: "d",
-          type: "boolean",
-          description: "organize files by day, default by month",
-        })
-      },
-      (argv) => {
-        cmdOrganize(argv)
-      }
-    )
+    // 按照日期和元数据模板整理到子目录，支持移动/复制/硬链接
+    .command(await import("../cmd/cmd_organize.js"))
     // 命令 LR输出文件移动
     // 移动RAW目录下LR输出的JPEG目录到单独的图片目录
     .command(
@@ -135,6 +149,95 @@ async function main() {
     .command(await import("../cmd/cmd_decode.js"))
     // 命令，用ffmpeg执行视频和音频压缩和格式转换
     .command(await import("../cmd/cmd_ffmpeg.js"))
+    // 命令，修复EXIF拍摄日期，日期偏移，同步文件修改时间
+    .command(await import("../cmd/cmd_fixdate.js"))
+    // 命令，从Google Takeout的JSON文件恢复拍摄日期和GPS，然后按日期重命名
+    .command(await import("../cmd/cmd_takeout.js"))
+    // 命令，根据GPX轨迹文件为照片和视频添加GPS位置
+    .command(await import("../cmd/cmd_geotag.js"))
+    // 命令，删除照片和视频中的GPS、序列号、作者等隐私元数据
+    .command(await import("../cmd/cmd_scrub.js"))
+    // 命令，显示文件的EXIF和媒体信息，支持表格/JSON/CSV输出
+    .command(await import("../cmd/cmd_info.js"))
+    // 命令，建立媒体库索引，按拍摄日期/相机/尺寸等条件查询文件
+    .command(await import("../cmd/cmd_catalog.js"))
+    // 命令，根据感知哈希查找相似图片和视频，显示分组报告
+    .command(await import("../cmd/cmd_similar.js"))
+    // 命令，检查图片视频音频和压缩包是否损坏，完整解码并输出报告
+    .command(await import("../cmd/cmd_verify.js"))
+    // 命令，管理安全删除的文件，列出/恢复/清空回收站
+    .command(await import("../cmd/cmd_trash.js"))
+    // 命令，清理垃圾文件、空文件、中断留下的临时文件和空目录
+    .command(await import("../cmd/cmd_clean.js"))
+    // 命令，执行 --plan 导出并审核过的任务计划文件
+    .command(await import("../cmd/cmd_apply.js"))
+    // 命令，根据操作日志撤销重命名/移动/安全删除操作
+    .command(await import("../cmd/cmd_undo.js"))
+    // 元数据缓存，--no-cache 禁用缓存
+    .option("cache", {
+      type: "boolean",
+      default: true,
+      global: true,
+      description: "use metadata cache for exiftool/ffprobe/mediainfo results",
+    })
+    // 忽略已有缓存，重新读取元数据并更新缓存
+    .option("refresh-cache", {
+      type: "boolean",
+      default: false,
+      global: true,
+      description: "ignore cached metadata, read again and update cache",
+    })
+    // 清空元数据缓存
+    .option("clear-cache", {
+      type: "boolean",
+      default: false,
+      global: true,
+      description: "clear all cached metadata before running command",
+    })
+    // 拍摄日期选择规则文件，按相机型号等选择日期标签和时区
+    .option("date-rules", {
+      type: "string",
+      global: true,
+      description: "json file of date tag rules, match by Make/Model/MajorBrand/ext",
+    })
+    // 非交互模式，用于定时任务和CI，确认问题自动回答是
+    .option("yes", {
+      alias: "y",
+      type: "boolean",
+      default: false,
+      global: true,
+      description: "non-interactive mode, answer yes to main confirm questions",
+    })
+    // 非交互模式，确认问题全部自动回答否，只显示不执行
+    .option("no", {
+      type: "boolean",
+      default: false,
+      global: true,
+      description: "non-interactive mode, answer no to all confirm questions",
+    })
+    // 次要问题的策略，不指定时交互询问，--yes 模式回答否
+    .option("retry-failed", {
+      type: "boolean",
+      global: true,
+      description: "answer of retry failed tasks question (ffmpeg)",
+    })
+    .option("purge-existing", {
+      type: "boolean",
+      global: true,
+      description: "answer of delete source files whose destination exists question (ffmpeg)",
+    })
+    .option("cleanup-dirs", {
+      type: "boolean",
+      global: true,
+      description: "answer of delete unused sub folders question (moveup)",
+    })
+    // 命令结束时在标准输出打印JSON格式的结果对象，日志输出到标准错误
+    .option("json", {
+      type: "boolean",
+      default: false,
+      global: true,
+      description: "print final result object as json to stdout, logs go to stderr",
+    })
     .count("verbose")
     .alias("v", "verbose")
     .alias("h", "help")
@@ -142,20 +245,32 @@ async function main() {
       "MediaCli is a multimedia file processing tool.\nCopyright 2021-2025 @ Zhang Xiaoke"
     )
     .demandCommand(1, chalk.red("Missing sub command you want to execute!"))
-    .showHelpOnFail(true)
+    .showHelpOnFail(!jsonMode)
     .version()
     .help()
-    .middleware([configCli])
+    .middleware([configCli, configCache, configDateRules, configPrompt])
+  // JSON模式下命令失败不退出进程，由下面输出包含错误的结果对象
+  jsonMode && ya.fail(false)
   const logFilePath = log.fileLogPath()
+  let error
   try {
     log.show('==============================================================')
     const argv = await ya.parse()
     log.debug(argv)
   } catch (err) {
     // await ya.getHelp()
+    error = err
     log.showRed(`${err.message}`)
   } finally {
+    if (jsonMode) {
+      process.stdout.write(JSON.stringify(result.build(error), null, 2) + '\n')
+      error && (process.exitCode = 1)
+    }
     await log.flushFileLog()
+    const journalPath = journal.currentPath()
+    if (journalPath) {
+      log.showYellow(`Undo journal: file:///${journalPath.split(path.sep).join("/")}`)
+    }
     if (await fs.pathExists(logFilePath)) {
       const filePath = logFilePath.split(path.sep).join("/")
       log.showYellow(`See logs: file:///${filePath}`)
@@ -164,121 +279,6 @@ async function main() {
   }
 }
 
-async function cmdOrganize(argv) {
-  log.show('cmdOrganize', argv)
-  const root = path.resolve(argv.input)
-  const byDay = argv.day || false
-  if (!root || !(await fs.pathExists(root))) {
-    yargs.showHelp()
-    log.error("Organize", `Invalid Input: '${root}'`)
-    return
-  }
-  const output = argv.output || root
-  // rules:
-  // 1. into folders by file type (png/video/image)
-  // 2. into folders by date month
-  log.show(`Organize: input:`, root)
-  log.show(`Organize: output:`, output)
-  let files = await exif.listMedia(root)
-  files = await exif.parseFiles(files)
-  log.show("Organize", `Total ${files.length} media files found.` + byDay ? "DAY MODE" : "MONTH MODE")
-  const pics = {}
-  files.forEach((f, i) => {
-    log.debug(`Processing(${i}):`, path.basename(f.path))
-    if (f.size > 0) {
-      if ([".png", ".gif"].includes(helper.pathExt(f.path, true))) {
-        if (!pics["pngs"]) {
-          pics["pngs"] = []
-        }
-        pics["pngs"].push(f)
-        log.debug("PNG Item:", f.path)
-      } else {
-        let dirName
-        const monthStr = dayjs(f.date).format("YYYYMM")
-        const dayStr = dayjs(f.date).format("YYYYMMDD")
-        const dateStr = byDay ? dayStr : monthStr
-        if (helper.isVideoFile(f.path)) {
-          dirName = path.join("VID", dateStr)
-        } else {
-          dirName = dateStr
-        }
-        if (!pics[dirName]) {
-          pics[dirName] = []
-        }
-        pics[dirName].push(f)
-        log.show("Image Item:", f.path, dirName)
-      }
-    } else {
-      log.show("Not Stats:", i, f.path, f.date)
-    }
-
-  })
-  log.show(byDay ? "DAY MODE" : "MONTH MODE")
-  for (const [k, v] of Object.entries(pics)) {
-    if (v.length > 0) {
-      log.show(
-        `Organize:`,
-        `${v.length} files will be moved to '${path.join(output, k)}'`
-      )
-    }
-  }
-  const answer = await inquirer.prompt([
-    {
-      type: "confirm",
-      name: "yes",
-      default: false,
-      message: chalk.bold.red(
-        `Are you sure to move these ${files.length} files?`
-      ),
-    },
-  ])
-  if (answer.yes) {
-    for (const [k, v] of Object.entries(pics)) {
-      if (v.length > 0) {
-        const movedFiles = []
-        const fileOutput = path.join(output, k)
-        for (const f of v) {
-          const fileSrc = f.path
-          const fileDst = path.join(fileOutput, path.basename(fileSrc))
-          if (!(await fs.pathExists(fileSrc))) {
-            log.info("Not Found:", fileSrc)
-            continue
-          }
-          if (await fs.pathExists(fileDst)) {
-            log.info("Skip Exists:", fileDst)
-            continue
-          }
-          if (!(await fs.pathExists(fileOutput))) {
-            await fs.mkdirp(fileOutput)
-          }
-          try {
-            await fs.move(fileSrc, fileDst)
-            movedFiles.push([fileSrc, fileDst])
-            log.info("Moved:", fileSrc, "to", fileDst)
-          } catch (error) {
-            log.error("Failed:", error, fileSrc, "to", fileDst)
-          }
-        }
-        if (v.length - movedFiles.length > 0) {
-          log.showYellow(
-            `Skipped:`,
-            `${v.length - movedFiles.length
-            } files are already in '${fileOutput}'`
-          )
-        }
-        if (movedFiles.length > 0) {
-          log.showGreen(
-            `Done:`,
-            `${movedFiles.length} files are moved to '${fileOutput}'`
-          )
-        }
-      }
-    }
-  } else {
-    log.showYellow("Will do nothing, aborted by user.")
-  }
-}
-
 async function cmdLRMove(argv) {
   log.show('cmdLRMove', argv)
   const root = path.resolve(argv.input)
@@ -309,20 +309,14 @@ async function cmdLRMove(argv) {
     log.show("DST:", fileDst)
     return task
   })
-  const answer = await inquirer.prompt([
-    {
-      type: "confirm",
-      name: "yes",
-      default: false,
-      message: chalk.bold.red(
-        `Are you sure to move these ${files.length} JPEG folder with files?`
-      ),
-    },
-  ])
-  if (answer.yes) {
+  const answer = await confirm(chalk.bold.red(
+    `Are you sure to move these ${files.length} JPEG folder with files?`
+  ))
+  if (answer) {
     for (const f of files) {
       try {
         await fs.move(f.fileSrc, f.fileDst)
+        await journal.record(journal.OP_MOVE, f.fileSrc, f.fileDst)
         log.showGreen("Moved:", f.fileSrc, "to", f.fileDst)
       } catch (error) {
         log.error("Failed:", error, f.fileSrc, "to", f.fileDst)